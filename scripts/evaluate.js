@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Retrieval evaluation CLI
+ * Runs a golden set of questions (see src/evaluation.js for the format) against the
+ * knowledge base and writes a Markdown report: recall@k, MRR, answer match rate and
+ * latency percentiles, optionally comparing a second configuration with the first.
+ *
+ * Usage:
+ *   node scripts/evaluate.js <golden.jsonl> [--config FILE|JSON] [--compare FILE|JSON]
+ *     [--k 3] [--tenant clinic-a] [--output report.md]
+ *
+ * Configurations override the settings from .env, e.g. '{"name": "rrf-30", "rrf_k": 30}'.
+ * The report defaults to evaluation_report.md next to the golden set.
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { DEFAULT_TENANT, validateTenantId } = require('../src/tenants');
+const { loadGoldenSet, validateConfig, RetrievalEvaluator, renderReport } = require('../src/evaluation');
+
+const USAGE = 'Usage: node scripts/evaluate.js <golden.jsonl> [--config FILE|JSON] [--compare FILE|JSON] ' +
+  '[--k N] [--tenant ID] [--output FILE]';
+
+// A configuration is inline JSON or a JSON file (named after the file unless it has a name)
+function loadConfig(value, fallbackName) {
+  const inline = value.trim().startsWith('{');
+  const config = validateConfig(JSON.parse(inline ? value : fs.readFileSync(value, 'utf8')));
+  return { ...config, name: config.name || (inline ? fallbackName : path.basename(value, path.extname(value))) };
+}
+
+function parseArgs(argv) {
+  const args = { golden: null, config: null, compare: null, k: 3, tenant: DEFAULT_TENANT, output: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--config':
+        args.config = loadConfig(value(), 'baseline');
+        break;
+      case '--compare':
+        args.compare = loadConfig(value(), 'candidate');
+        break;
+      case '--k':
+        args.k = parseInt(value(), 10);
+        if (!(args.k >= 1 && args.k <= 20)) throw new Error('--k must be an integer between 1 and 20');
+        break;
+      case '--tenant':
+        args.tenant = value();
+        if (args.tenant !== DEFAULT_TENANT && validateTenantId(args.tenant)) throw new Error(validateTenantId(args.tenant));
+        break;
+      case '--output':
+        args.output = value();
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        if (args.golden) throw new Error('Only one golden set can be evaluated at a time');
+        args.golden = arg;
+    }
+  }
+
+  if (!args.golden) {
+    throw new Error('A golden set is required');
+  }
+
+  args.config = args.config || { name: args.compare ? 'baseline' : 'current' };
+  args.output = args.output || path.join(path.dirname(args.golden), 'evaluation_report.md');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const questions = loadGoldenSet(args.golden);
+
+  const QdrantDao = require('../src/qdrantDao');
+  const KnowledgeAPI = require('../src/knowledge_api');
+  const QueryRewriter = require('../src/query_rewriter');
+
+  const qdrantDao = new QdrantDao({ tenant: args.tenant });
+  try {
+    if (args.tenant !== DEFAULT_TENANT) {
+      // The registry is in the unprefixed key space (the tenant's client is prefixed)
+      const registry = qdrantDao.redis.duplicate({ keyPrefix: '' });
+      const exists = await registry.exists(`tenant:${args.tenant}`);
+      registry.disconnect();
+      if (!exists) {
+        throw new Error(`Unknown tenant: ${args.tenant}`);
+      }
+    }
+
+    await qdrantDao.ensureCollection();
+    await qdrantDao.rebuildLexicalIndex();
+    if (qdrantDao.lexicalChunks.size === 0) {
+      throw new Error(`The knowledge base for tenant ${args.tenant} is empty (ingest the corpus first)`);
+    }
+
+    const evaluator = new RetrievalEvaluator(qdrantDao, new KnowledgeAPI(qdrantDao), new QueryRewriter(qdrantDao));
+    const runs = [await evaluator.run(questions, args.config, { k: args.k })];
+    if (args.compare) {
+      runs.push(await evaluator.run(questions, args.compare, { k: args.k }));
+    }
+
+    const chunks = [...qdrantDao.lexicalChunks.values()];
+    const report = renderReport({
+      golden: path.relative(path.dirname(args.output), args.golden) || args.golden,
+      knowledgeBase: {
+        tenant: args.tenant,
+        collection: qdrantDao.collectionName,
+        documents: new Set(chunks.map(chunk => chunk.doc_id)).size,
+        chunks: chunks.length,
+        embedding: `${qdrantDao.embedder.model} (${qdrantDao.embedder.dimensions} dimensions)`
+      },
+      runs
+    });
+    fs.writeFileSync(args.output, report);
+
+    runs.forEach(({ name, metrics }) => {
+      console.log(`[EVALUATE] ${name}: recall@${metrics.k} ${metrics.recall_at_k}, MRR ${metrics.mrr}, ` +
+        `answer match ${metrics.answer_match_rate}, search p95 ${metrics.latency_ms.search.p95}ms, ` +
+        `answer p95 ${metrics.latency_ms.answer.p95}ms`);
+    });
+    console.log(`[EVALUATE] Report written to ${args.output}`);
+  } finally {
+    qdrantDao.redis.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(`[EVALUATE] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Knowledge-base export CLI
+ * Writes the same JSONL archive as GET /knowledge/export (gzip-compressed when the
+ * output file ends in .gz), ready for scripts/import.js or POST /knowledge/import.
+ *
+ * Usage:
+ *   node scripts/export.js <archive.jsonl[.gz]> [--no-vectors] [--tenant clinic-a]
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { DEFAULT_TENANT, validateTenantId } = require('../src/tenants');
+
+const USAGE = 'Usage: node scripts/export.js <archive.jsonl[.gz]> [--no-vectors] [--tenant ID]';
+
+function parseArgs(argv) {
+  const args = { file: null, vectors: true, tenant: DEFAULT_TENANT };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--no-vectors':
+        args.vectors = false;
+        break;
+      case '--tenant':
+        args.tenant = value();
+        if (args.tenant !== DEFAULT_TENANT && validateTenantId(args.tenant)) throw new Error(validateTenantId(args.tenant));
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        if (args.file) throw new Error('Only one archive file can be written');
+        args.file = arg;
+    }
+  }
+
+  if (!args.file) {
+    throw new Error('An archive file is required');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const QdrantDao = require('../src/qdrantDao');
+  const { KnowledgeArchive } = require('../src/knowledge_archive');
+  const qdrantDao = new QdrantDao({ tenant: args.tenant });
+
+  try {
+    const startTime = process.hrtime.bigint();
+    const file = fs.createWriteStream(args.file);
+    const output = args.file.endsWith('.gz') ? zlib.createGzip() : file;
+    if (output !== file) {
+      output.pipe(file);
+    }
+
+    let header = null;
+    for await (const record of new KnowledgeArchive(qdrantDao).export({ vectors: args.vectors })) {
+      header = header || record;
+      if (!output.write(`${JSON.stringify(record)}\n`)) {
+        await once(output, 'drain');
+      }
+    }
+    output.end();
+    await finished(file);
+
+    const latency = Number(process.hrtime.bigint() - startTime) / 1000000;
+    console.log(`[EXPORT] ${args.file}: ${header.counts.documents} documents, ${header.counts.chunks} chunks ` +
+      `(${header.embedding.model}, ${args.vectors ? 'with' : 'without'} vectors) in ${Math.round(latency)}ms`);
+  } finally {
+    qdrantDao.redis.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(`[EXPORT] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
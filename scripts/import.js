@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Knowledge-base import CLI
+ * Restores an archive written by scripts/export.js or GET /knowledge/export. Chunks are
+ * written with their archived vectors when the embedding model, dimensions and chunking
+ * match this environment; otherwise documents are re-embedded from their source text.
+ *
+ * Usage:
+ *   node scripts/import.js <archive.jsonl[.gz]> [--replace] [--no-reembed] [--tenant clinic-a]
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { DEFAULT_TENANT, validateTenantId } = require('../src/tenants');
+
+const USAGE = 'Usage: node scripts/import.js <archive.jsonl[.gz]> [--replace] [--no-reembed] [--tenant ID]';
+
+function parseArgs(argv) {
+  const args = { file: null, replace: false, reembed: true, tenant: DEFAULT_TENANT };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--replace':
+        args.replace = true;
+        break;
+      case '--no-reembed':
+        args.reembed = false;
+        break;
+      case '--tenant':
+        args.tenant = value();
+        if (args.tenant !== DEFAULT_TENANT && validateTenantId(args.tenant)) throw new Error(validateTenantId(args.tenant));
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        if (args.file) throw new Error('Only one archive can be imported at a time');
+        args.file = arg;
+    }
+  }
+
+  if (!args.file) {
+    throw new Error('An archive file is required');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!fs.existsSync(args.file)) {
+    throw new Error(`No such file: ${args.file}`);
+  }
+
+  const QdrantDao = require('../src/qdrantDao');
+  const { KnowledgeArchive } = require('../src/knowledge_archive');
+  const qdrantDao = new QdrantDao({ tenant: args.tenant });
+
+  try {
+    if (args.tenant !== DEFAULT_TENANT) {
+      // The registry is in the unprefixed key space (the tenant's client is prefixed)
+      const registry = qdrantDao.redis.duplicate({ keyPrefix: '' });
+      const exists = await registry.exists(`tenant:${args.tenant}`);
+      registry.disconnect();
+      if (!exists) {
+        throw new Error(`Unknown tenant: ${args.tenant} (provision it with POST /admin/tenants)`);
+      }
+    }
+
+    const startTime = process.hrtime.bigint();
+    let stream = fs.createReadStream(args.file);
+    if (args.file.endsWith('.gz')) {
+      stream = stream.pipe(zlib.createGunzip());
+    }
+
+    const result = await new KnowledgeArchive(qdrantDao).import(stream, { replace: args.replace, reembed: args.reembed });
+    if (result.status) {
+      throw new Error(result.error);
+    }
+
+    // Tell running servers: they rebuild their BM25 index (and start new caches) when the epoch moves
+    if (result.added.length + result.updated.length + result.deleted.length > 0) {
+      await qdrantDao.bumpCacheEpoch();
+    }
+
+    result.errors.forEach(error => {
+      console.error(`[IMPORT] ${error.line ? `Line ${error.line}` : 'Skipped'}${error.id ? ` (${error.id})` : ''}: ${error.error}`);
+    });
+    if (result.vectors !== 'reused') {
+      console.log(`[IMPORT] Re-embedding: ${result.compatibility.reasons.join('; ')}`);
+    }
+
+    const latency = Number(process.hrtime.bigint() - startTime) / 1000000;
+    console.log(`[IMPORT] ${args.file}: ${result.document_count} documents (${result.added.length} added, ` +
+      `${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.reembedded.length} re-embedded, ` +
+      `${result.deleted.length} deleted, ${result.chunk_count} chunks written, ${result.errors.length} errors) in ${Math.round(latency)}ms`);
+
+    process.exitCode = result.errors.length > 0 ? 1 : 0;
+  } finally {
+    qdrantDao.redis.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(`[IMPORT] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+/**
+ * Bulk ingestion CLI
+ * Parses JSONL, Markdown, HTML and plain-text files (or whole directories) and
+ * upserts them into the knowledge base without going through the HTTP API.
+ *
+ * Usage:
+ *   node scripts/ingest.js <file|dir>... [--format jsonl|markdown|html|text]
+ *     [--tags a,b] [--metadata '{"location":"Brooklyn"}'] [--batch-size 50] [--tenant clinic-a] [--dry-run]
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { parseDocuments, detectFormat } = require('../src/document_parsers');
+const { DEFAULT_TENANT, validateTenantId } = require('../src/tenants');
+
+const USAGE = 'Usage: node scripts/ingest.js <file|dir>... [--format jsonl|markdown|html|text] ' +
+  '[--tags a,b] [--metadata JSON] [--batch-size N] [--tenant ID] [--dry-run]';
+
+function parseArgs(argv) {
+  const args = { paths: [], tags: [], metadata: undefined, format: undefined, batchSize: 50, tenant: DEFAULT_TENANT, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--format':
+        args.format = detectFormat(null, value());
+        break;
+      case '--tags':
+        args.tags = value().split(',').map(tag => tag.trim()).filter(Boolean);
+        break;
+      case '--metadata':
+        args.metadata = JSON.parse(value());
+        if (typeof args.metadata !== 'object' || args.metadata === null || Array.isArray(args.metadata)) {
+          throw new Error('--metadata must be a JSON object');
+        }
+        break;
+      case '--batch-size':
+        args.batchSize = parseInt(value(), 10);
+        if (!(args.batchSize > 0)) throw new Error('--batch-size must be a positive integer');
+        break;
+      case '--tenant':
+        args.tenant = value();
+        if (args.tenant !== DEFAULT_TENANT && validateTenantId(args.tenant)) throw new Error(validateTenantId(args.tenant));
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+        args.paths.push(arg);
+    }
+  }
+
+  if (args.paths.length === 0) {
+    throw new Error('At least one file or directory is required');
+  }
+
+  return args;
+}
+
+// Files under the given paths (directories are walked recursively, dotfiles skipped)
+function collectFiles(paths) {
+  const files = [];
+
+  const walk = target => {
+    const stat = fs.statSync(target);
+    if (stat.isDirectory()) {
+      fs.readdirSync(target)
+        .filter(name => !name.startsWith('.'))
+        .sort()
+        .forEach(name => walk(path.join(target, name)));
+    } else if (stat.isFile()) {
+      files.push(target);
+    }
+  };
+
+  paths.forEach(walk);
+  return files;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const files = collectFiles(args.paths);
+  const defaults = { tags: args.tags, metadata: args.metadata };
+  const errors = [];
+
+  // The DAO connects to Qdrant/Redis on construction, so a dry run never creates one
+  let qdrantDao = null;
+  if (!args.dryRun) {
+    const QdrantDao = require('../src/qdrantDao');
+    qdrantDao = new QdrantDao({ tenant: args.tenant });
+    if (args.tenant !== DEFAULT_TENANT) {
+      // The registry is in the unprefixed key space (the tenant's client is prefixed)
+      const registry = qdrantDao.redis.duplicate({ keyPrefix: '' });
+      const exists = await registry.exists(`tenant:${args.tenant}`);
+      registry.disconnect();
+      if (!exists) {
+        throw new Error(`Unknown tenant: ${args.tenant} (provision it with POST /admin/tenants)`);
+      }
+    }
+    await qdrantDao.ensureCollection();
+  }
+
+  const totals = { documents: 0, chunks: 0, added: 0, updated: 0, unchanged: 0 };
+
+  try {
+    for (const file of files) {
+      const startTime = process.hrtime.bigint();
+      const documents = parseDocuments(fs.createReadStream(file), {
+        filename: file,
+        format: args.format,
+        defaults,
+        onError: error => errors.push(error)
+      });
+
+      let summary;
+      if (args.dryRun) {
+        summary = { document_count: 0, chunk_count: 0, added: [], updated: [], unchanged: [] };
+        for await (const doc of documents) {
+          summary.document_count++;
+          console.log(`  ${doc.id} (${doc.text.length} chars${doc.tags ? `, tags: ${doc.tags.join(', ')}` : ''})`);
+        }
+      } else {
+        summary = await qdrantDao.upsertDocumentStream(documents, {
+          batchSize: args.batchSize,
+          onBatch: progress => console.log(`  ... ${progress.document_count} documents, ${progress.chunk_count} chunks`)
+        });
+      }
+
+      const latency = Number(process.hrtime.bigint() - startTime) / 1000000;
+      console.log(`[INGEST] ${file}: ${summary.document_count} documents, ${summary.chunk_count} chunks ` +
+        `(${summary.added.length} added, ${summary.updated.length} updated, ${summary.unchanged.length} unchanged) in ${Math.round(latency)}ms`);
+
+      totals.documents += summary.document_count;
+      totals.chunks += summary.chunk_count;
+      totals.added += summary.added.length;
+      totals.updated += summary.updated.length;
+      totals.unchanged += summary.unchanged.length;
+    }
+
+    // Tell running servers: they rebuild their BM25 index (and start new caches) when the epoch moves
+    if (qdrantDao && totals.added + totals.updated > 0) {
+      await qdrantDao.bumpCacheEpoch();
+    }
+  } finally {
+    if (qdrantDao) {
+      qdrantDao.redis.disconnect();
+    }
+  }
+
+  errors.forEach(error => {
+    const location = error.line ? `${error.filename}:${error.line}` : error.filename;
+    console.error(`[INGEST] Skipped ${location}${error.id ? ` (${error.id})` : ''}: ${error.error}`);
+  });
+
+  console.log(`[INGEST] ${args.dryRun ? 'Parsed' : 'Ingested'} ${totals.documents} documents from ${files.length} files ` +
+    `(${totals.added} added, ${totals.updated} updated, ${totals.unchanged} unchanged, ${totals.chunks} chunks, ${errors.length} errors)`);
+
+  process.exitCode = errors.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(`[INGEST] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
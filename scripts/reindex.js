@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Reindex CLI (embedding model migrations without downtime)
+ * Builds a new version of the knowledge-base collection from the stored source documents
+ * with the embedder configured in .env (EMBEDDING_PROVIDER / EMBEDDING_MODEL /
+ * EMBEDDING_DIMENSIONS), then swaps the collection alias to it. Earlier versions are kept
+ * for --rollback until they are dropped.
+ *
+ * Usage:
+ *   node scripts/reindex.js [--tenant clinic-a] [--force]
+ *   node scripts/reindex.js --list [--tenant clinic-a]
+ *   node scripts/reindex.js --rollback [VERSION] [--tenant clinic-a]
+ *   node scripts/reindex.js --drop VERSION [--tenant clinic-a]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { DEFAULT_TENANT, validateTenantId } = require('../src/tenants');
+
+const USAGE = 'Usage: node scripts/reindex.js [--tenant ID] [--force] | --list | --rollback [VERSION] | --drop VERSION';
+
+function parseVersion(value) {
+  const version = parseInt(value, 10);
+  if (!(version >= 1) || String(version) !== value) {
+    throw new Error(`Invalid version: ${value}`);
+  }
+  return version;
+}
+
+function parseArgs(argv) {
+  const args = { action: 'reindex', version: null, tenant: DEFAULT_TENANT, force: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '--list':
+        args.action = 'list';
+        break;
+      case '--rollback':
+        args.action = 'rollback';
+        if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+          args.version = parseVersion(argv[++i]);
+        }
+        break;
+      case '--drop':
+        args.action = 'drop';
+        args.version = parseVersion(value());
+        break;
+      case '--force':
+        args.force = true;
+        break;
+      case '--tenant':
+        args.tenant = value();
+        if (args.tenant !== DEFAULT_TENANT && validateTenantId(args.tenant)) throw new Error(validateTenantId(args.tenant));
+        break;
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const QdrantDao = require('../src/qdrantDao');
+  const CollectionVersions = require('../src/collection_versions');
+  const qdrantDao = new QdrantDao({ tenant: args.tenant });
+  const versions = new CollectionVersions(qdrantDao);
+
+  try {
+    if (args.tenant !== DEFAULT_TENANT) {
+      // The registry is in the unprefixed key space (the tenant's client is prefixed)
+      const registry = qdrantDao.redis.duplicate({ keyPrefix: '' });
+      const exists = await registry.exists(`tenant:${args.tenant}`);
+      registry.disconnect();
+      if (!exists) {
+        throw new Error(`Unknown tenant: ${args.tenant}`);
+      }
+    }
+
+    let result;
+    switch (args.action) {
+      case 'list': {
+        const entries = await versions.listVersions();
+        if (entries.length === 0) {
+          console.log(`[REINDEX] ${qdrantDao.collectionName} has no versions yet`);
+        }
+        entries.forEach(entry => {
+          console.log(`${entry.active ? '*' : ' '} v${entry.version}  ${entry.collection}  ` +
+            `${entry.embedding_model || 'unknown model'} (${entry.embedding_dimensions} dimensions)  ` +
+            `${entry.points_count} chunks  ${entry.created_at || ''}`);
+        });
+        return;
+      }
+      case 'rollback':
+        result = await versions.rollback(args.version);
+        break;
+      case 'drop':
+        result = await versions.dropVersion(args.version);
+        break;
+      default: {
+        const startTime = process.hrtime.bigint();
+        result = await versions.reindex({
+          force: args.force,
+          onProgress: progress => {
+            if (progress.documents % 50 === 0) {
+              console.log(`  ... ${progress.documents} documents, ${progress.chunks} chunks`);
+            }
+          }
+        });
+        result.latency_ms = Math.round(Number(process.hrtime.bigint() - startTime) / 1000000);
+      }
+    }
+
+    if (!result.ok) {
+      (result.missing_sources || []).forEach(docId => console.error(`  no source: ${docId}`));
+      throw new Error(result.error);
+    }
+
+    switch (args.action) {
+      case 'rollback':
+        console.log(`[REINDEX] ${qdrantDao.collectionName} now serves v${result.version} (was v${result.previous_version})`);
+        if (!result.synced) {
+          console.log(`[REINDEX] v${result.version} was built with ${result.embedding_model || 'an unrecorded model'} ` +
+            `(${result.embedding_dimensions} dimensions): running servers switch to it ` +
+            `${result.embedding_model ? 'on their next search' : 'only after a restart with matching settings'}; ` +
+            'run a reindex to pick up documents ingested since');
+        }
+        break;
+      case 'drop':
+        console.log(`[REINDEX] Dropped ${result.collection}`);
+        break;
+      default:
+        console.log(`[REINDEX] ${qdrantDao.collectionName} now serves ${result.collection}: ${result.documents} documents, ` +
+          `${result.chunks} chunks in ${result.latency_ms}ms (${result.caught_up.written.length} caught up, ` +
+          `${result.caught_up.deleted.length} deleted during the build)`);
+        if (result.previous_version) {
+          console.log(`[REINDEX] v${result.previous_version} is kept; undo with: npm run reindex -- --rollback ${result.previous_version}`);
+        }
+        console.log('[REINDEX] Running servers switch to the new embeddings on their next search; ' +
+          'give them the same embedding settings before they next restart');
+    }
+  } finally {
+    qdrantDao.redis.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error(`[REINDEX] ${error.message}`);
+  console.error(USAGE);
+  process.exit(1);
+});
@@ -3,10 +3,23 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const swaggerUi = require('swagger-ui-express');
 const fs = require('fs');
+const os = require('os');
+const zlib = require('zlib');
+const { once } = require('events');
+const multer = require('multer');
 const yaml = require('js-yaml');
 const path = require('path');
+const crypto = require('crypto');
 const QdrantDao = require('./src/qdrantDao');
 const Orchestrator = require('./src/orchestrator');
+const KnowledgeAPI = require('./src/knowledge_api');
+const IngestionJobManager = require('./src/ingestion_jobs');
+const IntentDetector = require('./src/intent_detector');
+const { DEFAULT_TENANT, validateTenantId, TenantManager } = require('./src/tenants');
+const { normalizeFilters } = require('./src/filters');
+const { normalizeRankingOptions } = require('./src/rerankers');
+const { validateDocument, parseDocuments, detectFormat } = require('./src/document_parsers');
+const { KnowledgeArchive } = require('./src/knowledge_archive');
 require('dotenv').config();
 
 const app = express();
@@ -36,9 +49,9 @@ app.use((req, res, next) => {
   next();
 });
 
-// Initialize services
-let qdrantDao;
-let orchestrator;
+// Initialize services (one context per tenant: { tenant, qdrantDao, orchestrator, ingestionJobs })
+let tenants;
+let intentDetector;
 
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
@@ -46,6 +59,183 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   customSiteTitle: 'FastLane RAG API v2.0'
 }));
 
+// Multipart uploads are written to disk and streamed through the parsers
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: parseInt(process.env.UPLOAD_MAX_FILE_MB || '100', 10) * 1024 * 1024,
+    files: 20
+  }
+});
+
+/**
+ * Form fields shared by the upload endpoints: format override, comma-separated tags
+ * and a JSON metadata object applied to every parsed document
+ * @throws {Error} When format or metadata is invalid
+ */
+function uploadOptions(body) {
+  const format = body.format ? detectFormat(null, body.format) : undefined;
+  const metadata = body.metadata ? JSON.parse(body.metadata) : undefined;
+  if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+    throw new Error('metadata must be a JSON object');
+  }
+
+  return {
+    format,
+    defaults: {
+      tags: (body.tags || '').split(',').map(tag => tag.trim()).filter(Boolean),
+      metadata
+    }
+  };
+}
+
+/**
+ * Admin endpoints require the ADMIN_API_KEY in the X-Admin-Key header
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_API_KEY is not set)' });
+  }
+
+  const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+  if (!crypto.timingSafeEqual(digest(req.get('X-Admin-Key')), digest(adminKey))) {
+    return res.status(401).json({ error: 'Invalid or missing X-Admin-Key' });
+  }
+
+  next();
+}
+
+/**
+ * POST /admin/tenants - Provision a tenant (collection, key space and API key)
+ */
+app.post('/admin/tenants', requireAdmin, async (req, res) => {
+  try {
+    const { id, name } = req.body;
+    const result = await tenants.createTenant({ id, name });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.status(201).json({
+      ...result,
+      message: `Created tenant ${id}; the API key is only shown once`
+    });
+  } catch (error) {
+    console.error('[ADMIN_TENANTS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to create tenant',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/tenants - List tenants
+ */
+app.get('/admin/tenants', requireAdmin, async (req, res) => {
+  try {
+    const list = await tenants.listTenants();
+    res.json({
+      tenants: list,
+      count: list.length
+    });
+  } catch (error) {
+    console.error('[ADMIN_TENANTS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to list tenants',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /admin/tenants/:id - Get a tenant
+ */
+app.get('/admin/tenants/:id', requireAdmin, async (req, res) => {
+  try {
+    const tenant = await tenants.getTenant(req.params.id);
+
+    if (!tenant) {
+      return res.status(404).json({
+        error: 'Tenant not found'
+      });
+    }
+
+    res.json(tenant);
+  } catch (error) {
+    console.error('[ADMIN_TENANTS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to get tenant',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /admin/tenants/:id - Delete a tenant and all of its data
+ */
+app.delete('/admin/tenants/:id', requireAdmin, async (req, res) => {
+  try {
+    const result = await tenants.deleteTenant(req.params.id);
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      ...result,
+      message: `Deleted tenant ${req.params.id}`
+    });
+  } catch (error) {
+    console.error('[ADMIN_TENANTS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to delete tenant',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Resolve the tenant for every other route: X-API-Key (a tenant's key) or X-Tenant-Id,
+ * falling back to the default tenant. Sets req.tenant to the tenant's services.
+ */
+app.use(async (req, res, next) => {
+  try {
+    const apiKey = req.get('X-API-Key');
+    const headerTenant = req.get('X-Tenant-Id');
+    let tenantId = headerTenant || DEFAULT_TENANT;
+
+    if (apiKey) {
+      tenantId = await tenants.tenantForApiKey(apiKey);
+      if (!tenantId) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+      if (headerTenant && headerTenant !== tenantId) {
+        return res.status(403).json({ error: 'X-Tenant-Id does not match the API key' });
+      }
+    } else if (tenantId !== DEFAULT_TENANT) {
+      const error = validateTenantId(tenantId);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (!(await tenants.getTenant(tenantId))) {
+        return res.status(404).json({ error: `Unknown tenant: ${tenantId}` });
+      }
+    }
+
+    req.tenant = await tenants.getContext(tenantId);
+    next();
+  } catch (error) {
+    console.error('[TENANT] Error:', error);
+    res.status(500).json({
+      error: 'Failed to resolve tenant',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /chat - Main chat endpoint
  */
@@ -57,10 +247,24 @@ app.post('/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    let filters;
+    let ranking;
+    try {
+      filters = normalizeFilters(req.body.filters);
+      ranking = normalizeRankingOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { answer_mode: mode } = req.body;
+    if (mode !== undefined && !KnowledgeAPI.ANSWER_MODES.includes(mode)) {
+      return res.status(400).json({ error: `answer_mode must be one of: ${KnowledgeAPI.ANSWER_MODES.join(', ')}` });
+    }
+
     const sessionId = session_id || uuidv4();
     
     // Orchestrate the response
-    const result = await orchestrator.orchestrate(sessionId, message);
+    const result = await req.tenant.orchestrator.orchestrate(sessionId, message, { filters, mode, ranking });
     
     res.json({
       ...result,
@@ -86,13 +290,22 @@ app.post('/knowledge', async (req, res) => {
       return res.status(400).json({ error: 'Documents array is required' });
     }
 
-    const chunkCount = await qdrantDao.upsertDocuments(documents);
+    const errors = documents.map(validateDocument);
+    const invalid = errors.findIndex(error => error !== null);
+    if (invalid !== -1) {
+      return res.status(400).json({ error: `Document at index ${invalid} ${errors[invalid]}` });
+    }
+
+    const summary = await req.tenant.qdrantDao.upsertDocuments(documents);
     
     res.json({
       ok: true,
-      message: `Upserted ${documents.length} documents (${chunkCount} chunks)`,
+      message: `Upserted ${documents.length} documents (${summary.added.length} added, ${summary.updated.length} updated, ${summary.unchanged.length} unchanged, ${summary.chunk_count} chunks written)`,
       document_count: documents.length,
-      chunk_count: chunkCount
+      chunk_count: summary.chunk_count,
+      added: summary.added,
+      updated: summary.updated,
+      unchanged: summary.unchanged
     });
   } catch (error) {
     console.error('[KNOWLEDGE] Error:', error);
@@ -103,23 +316,488 @@ app.post('/knowledge', async (req, res) => {
   }
 });
 
+/**
+ * POST /knowledge/upload - Multipart upload of JSONL, Markdown, HTML or text files
+ * Fields: files (repeatable), format (optional override), tags (comma-separated),
+ * metadata (JSON object) - tags/metadata are added to every parsed document
+ */
+app.post('/knowledge/upload', (req, res, next) => {
+  upload.array('files')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'At least one file is required (multipart field "files")' });
+    }
+
+    let format;
+    let defaults;
+    try {
+      ({ format, defaults } = uploadOptions(req.body));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const totals = { document_count: 0, chunk_count: 0, added: [], updated: [], unchanged: [] };
+    const results = [];
+    const errors = [];
+
+    // One file at a time; JSONL files are parsed line by line and upserted in batches
+    for (const file of files) {
+      const documents = parseDocuments(fs.createReadStream(file.path), {
+        filename: file.originalname,
+        format,
+        defaults,
+        onError: error => errors.push(error)
+      });
+      const summary = await req.tenant.qdrantDao.upsertDocumentStream(documents);
+
+      results.push({
+        filename: file.originalname,
+        document_count: summary.document_count,
+        chunk_count: summary.chunk_count
+      });
+      totals.document_count += summary.document_count;
+      totals.chunk_count += summary.chunk_count;
+      totals.added.push(...summary.added);
+      totals.updated.push(...summary.updated);
+      totals.unchanged.push(...summary.unchanged);
+    }
+
+    res.json({
+      ok: errors.length === 0,
+      message: `Ingested ${totals.document_count} documents from ${files.length} files (${totals.added.length} added, ${totals.updated.length} updated, ${totals.unchanged.length} unchanged, ${totals.chunk_count} chunks written, ${errors.length} errors)`,
+      files: results,
+      ...totals,
+      errors
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_UPLOAD] Error:', error);
+    res.status(500).json({
+      error: 'Failed to ingest files',
+      details: error.message
+    });
+  } finally {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  }
+});
+
+/**
+ * POST /knowledge/search - Hybrid search with tag/doc_id/metadata filters
+ * ?explain=true adds every ranking stage (retriever hits, RRF, re-ranking, MMR), the cache
+ * hits and each result's sentence scores; explained searches always run the full pipeline.
+ */
+app.post('/knowledge/search', async (req, res) => {
+  try {
+    const { query, limit, debug } = req.body;
+    const explain = req.query.explain === 'true' ? {} : null;
+    
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    let filters;
+    let ranking;
+    try {
+      filters = normalizeFilters(req.body.filters);
+      ranking = normalizeRankingOptions(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { qdrantDao, orchestrator } = req.tenant;
+    const k = ranking.k || Math.min(parseInt(limit, 10) || 3, 20);
+    const results = await qdrantDao.searchDocuments(query, k, { filters, ...ranking, ...(explain && { explain }) });
+
+    if (explain) {
+      // The sentence findBestSentence would cite from each result, with every candidate's scores
+      explain.sentences = await Promise.all(results.map(async result => ({
+        id: result.id,
+        doc_id: result.payload.doc_id,
+        sentences: (await orchestrator.knowledgeAPI.rankSentences(query, result.payload.text))
+          .map((sentence, rank) => ({ ...sentence, best: rank === 0 }))
+      })));
+    }
+    
+    const effective = qdrantDao.rankingOptions(k, ranking);
+    res.json({
+      query,
+      filters,
+      results: results.map(result => ({
+        id: result.id,
+        score: result.score,
+        ...result.payload,
+        // Per-stage scores: retrievers, RRF fusion, re-ranker (with its features) and MMR
+        ...(debug && {
+          scores: {
+            vector: result.vector_score,
+            bm25: result.bm25_score,
+            rrf: result.rrf_score,
+            rerank: result.rerank_score,
+            rerank_features: result.rerank_features || null,
+            mmr: result.mmr_score
+          }
+        })
+      })),
+      count: results.length,
+      ...(debug && {
+        ranking: {
+          reranker: qdrantDao.reranker.name,
+          rerank_depth: effective.rerankDepth,
+          mmr_lambda: effective.mmrLambda,
+          k: effective.k
+        }
+      }),
+      ...(explain && { explain })
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_SEARCH] Error:', error);
+    res.status(500).json({
+      error: 'Failed to search knowledge base',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /knowledge/jobs - Start a background ingestion job
+ * Accepts the same JSON body as POST /knowledge, or a multipart upload like
+ * POST /knowledge/upload. Responds 202 as soon as the documents are stored.
+ */
+app.post('/knowledge/jobs', (req, res, next) => {
+  upload.array('files')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    let job;
+
+    if (files.length > 0) {
+      let format;
+      let defaults;
+      try {
+        ({ format, defaults } = uploadOptions(req.body));
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const errors = [];
+      async function* documents() {
+        for (const file of files) {
+          yield* parseDocuments(fs.createReadStream(file.path), {
+            filename: file.originalname,
+            format,
+            defaults,
+            onError: error => errors.push({ index: null, ...error })
+          });
+        }
+      }
+
+      job = await req.tenant.ingestionJobs.createJob(documents(), { source: 'upload', errors });
+    } else {
+      const { documents } = req.body;
+
+      if (!documents || !Array.isArray(documents)) {
+        return res.status(400).json({ error: 'Documents array or multipart "files" is required' });
+      }
+
+      const errors = documents.map(validateDocument);
+      const invalid = errors.findIndex(error => error !== null);
+      if (invalid !== -1) {
+        return res.status(400).json({ error: `Document at index ${invalid} ${errors[invalid]}` });
+      }
+
+      job = await req.tenant.ingestionJobs.createJob(documents, { source: 'json' });
+    }
+
+    res.status(202).json({
+      ok: true,
+      job_id: job.id,
+      status: job.status,
+      total: job.total,
+      errors: job.errors,
+      status_url: `/knowledge/jobs/${job.id}`
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_JOBS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to create ingestion job',
+      details: error.message
+    });
+  } finally {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  }
+});
+
+/**
+ * GET /knowledge/jobs - List ingestion jobs (newest first)
+ */
+app.get('/knowledge/jobs', async (req, res) => {
+  try {
+    const jobs = await req.tenant.ingestionJobs.listJobs();
+
+    res.json({
+      jobs: jobs.map(({ errors, ...job }) => ({ ...job, error_count: errors.length })),
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_JOBS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to list ingestion jobs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /knowledge/jobs/:id - Job status, progress and per-document errors
+ */
+app.get('/knowledge/jobs/:id', async (req, res) => {
+  try {
+    const job = await req.tenant.ingestionJobs.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      ...job,
+      progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) / 100 : 1,
+      cancel_requested: req.tenant.ingestionJobs.cancelRequested.has(job.id)
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_JOBS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to get ingestion job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /knowledge/jobs/:id/cancel - Cancel a queued or running job
+ */
+app.post('/knowledge/jobs/:id/cancel', async (req, res) => {
+  try {
+    const result = await req.tenant.ingestionJobs.cancelJob(req.params.id);
+
+    if (!result.ok) {
+      return res.status(result.job ? 409 : 404).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('[KNOWLEDGE_JOBS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel ingestion job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /knowledge/jobs/:id/retry - Resume a failed or cancelled job where it stopped
+ */
+app.post('/knowledge/jobs/:id/retry', async (req, res) => {
+  try {
+    const result = await req.tenant.ingestionJobs.retryJob(req.params.id);
+
+    if (!result.ok) {
+      return res.status(result.job ? 409 : 404).json({ error: result.error });
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('[KNOWLEDGE_JOBS] Error:', error);
+    res.status(500).json({
+      error: 'Failed to retry ingestion job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /knowledge - List documents in the knowledge base
+ */
+app.get('/knowledge', async (req, res) => {
+  try {
+    const documents = await req.tenant.qdrantDao.listDocuments();
+    
+    res.json({
+      documents,
+      count: documents.length
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_LIST] Error:', error);
+    res.status(500).json({
+      error: 'Failed to list documents',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /knowledge/export - Download the knowledge base as a JSONL archive
+ * (source documents, chunk payloads, vectors unless ?vectors=false, embedding metadata, BM25 corpus)
+ * Registered before /knowledge/:doc_id so "export" is not taken for a document id
+ */
+app.get('/knowledge/export', async (req, res) => {
+  const { qdrantDao } = req.tenant;
+
+  try {
+    const records = new KnowledgeArchive(qdrantDao).export({ vectors: req.query.vectors !== 'false' });
+    const date = new Date().toISOString().slice(0, 10);
+
+    for await (const record of records) {
+      if (!res.headersSent) {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="${qdrantDao.collectionName}-${date}.jsonl"`);
+      }
+      if (!res.write(`${JSON.stringify(record)}\n`)) {
+        await once(res, 'drain');
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('[KNOWLEDGE_EXPORT] Error:', error);
+    if (res.headersSent) {
+      // A truncated archive must not look complete
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to export knowledge base',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /knowledge/import - Restore a JSONL archive from GET /knowledge/export
+ * Body: the archive (application/x-ndjson, gzip with Content-Encoding: gzip) or a multipart
+ * field "archive" (.jsonl or .jsonl.gz). ?replace=true deletes documents the archive doesn't
+ * contain; ?reembed=false refuses archives whose vectors can't be reused.
+ */
+app.post('/knowledge/import', (req, res, next) => {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+  upload.single('archive')(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const file = req.file;
+
+  try {
+    if (req.is('multipart/form-data') && !file) {
+      return res.status(400).json({ error: 'An archive is required (multipart field "archive")' });
+    }
+
+    let stream = file ? fs.createReadStream(file.path) : req;
+    const gzipped = file ? file.originalname.endsWith('.gz') : req.headers['content-encoding'] === 'gzip';
+    if (gzipped) {
+      const gunzip = zlib.createGunzip();
+      stream.on('error', error => gunzip.destroy(error));
+      stream = stream.pipe(gunzip);
+    }
+
+    const result = await new KnowledgeArchive(req.tenant.qdrantDao).import(stream, {
+      replace: req.query.replace === 'true',
+      reembed: req.query.reembed !== 'false'
+    });
+
+    if (result.status) {
+      return res.status(result.status).json({
+        error: result.error,
+        ...(result.compatibility && { compatibility: result.compatibility })
+      });
+    }
+
+    res.json({
+      ...result,
+      message: `Imported ${result.document_count} documents (${result.added.length} added, ${result.updated.length} updated, ` +
+        `${result.unchanged.length} unchanged, ${result.reembedded.length} re-embedded, ${result.deleted.length} deleted, ` +
+        `${result.errors.length} errors)`
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_IMPORT] Error:', error);
+    res.status(500).json({
+      error: 'Failed to import knowledge base',
+      details: error.message
+    });
+  } finally {
+    if (file) {
+      fs.unlink(file.path, () => {});
+    }
+  }
+});
+
+/**
+ * GET /knowledge/:doc_id - Get a document and its chunks
+ */
+app.get('/knowledge/:doc_id', async (req, res) => {
+  try {
+    const { doc_id } = req.params;
+    const document = await req.tenant.qdrantDao.getDocument(doc_id);
+    
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+    
+    res.json(document);
+  } catch (error) {
+    console.error('[KNOWLEDGE_GET] Error:', error);
+    res.status(500).json({
+      error: 'Failed to get document',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /health - Health check
  */
 app.get('/health', async (req, res) => {
   try {
+    const { qdrantDao } = req.tenant;
+    
     // Check Redis
     await qdrantDao.redis.ping();
     
     // Check Qdrant
-    const collections = await qdrantDao.qdrant.getCollections();
+    const collections = await qdrantDao.vectorStore.getCollections();
+    const collectionInfo = await qdrantDao.vectorStore.getCollection(qdrantDao.collectionName);
+    
+    // Hybrid search degrades to vector-only when the BM25 index lags the collection,
+    // and to BM25-only while vector search fails (e.g. a reindex swapped in another embedder)
+    const lexicalIndex = qdrantDao.getLexicalIndexStats(collectionInfo.points_count);
+    const vectorSearch = qdrantDao.getVectorSearchStatus();
     
     res.json({
-      status: 'healthy',
+      status: lexicalIndex.status === 'ok' && vectorSearch.status === 'ok' ? 'healthy' : 'degraded',
       services: {
         redis: 'connected',
         qdrant: 'connected',
-        collections: collections.collections.length
+        vector_store: qdrantDao.vectorStore.name,
+        kv_store: qdrantDao.kvStoreName,
+        collections: collections.collections.length,
+        lexical_index: lexicalIndex,
+        vector_search: vectorSearch
       },
       timestamp: new Date().toISOString()
     });
@@ -136,8 +814,10 @@ app.get('/health', async (req, res) => {
  */
 app.get('/stats', async (req, res) => {
   try {
+    const { qdrantDao, orchestrator } = req.tenant;
+    
     // Get Qdrant stats
-    const collectionInfo = await qdrantDao.qdrant.getCollection(qdrantDao.collectionName);
+    const collectionInfo = await qdrantDao.vectorStore.getCollection(qdrantDao.collectionName);
     
     // Get Redis stats - count different cache types
     const memoryKeys = await qdrantDao.redis.keys('memory:*');
@@ -174,18 +854,25 @@ app.get('/stats', async (req, res) => {
     
     res.json({
       ok: true,
+      tenant: req.tenant.tenant,
       timestamp: new Date().toISOString(),
       qdrant: {
+        backend: qdrantDao.vectorStore.name,
         collection_name: qdrantDao.collectionName,
+        active_collection: qdrantDao.activeCollection,
+        embedding_model: qdrantDao.embeddingModel,
         points_count: collectionInfo.points_count,
         vectors_count: collectionInfo.vectors_count || collectionInfo.points_count
       },
+      lexical_index: qdrantDao.getLexicalIndexStats(collectionInfo.points_count),
       redis: {
+        backend: qdrantDao.kvStoreName,
         sessions: memoryKeys.length,
         cache: {
           embeddings: embeddingKeys.length,
           query_results: queryKeys.length,
-          answers: knowledgeKeys.length
+          answers: knowledgeKeys.length,
+          semantic_answers: await orchestrator.knowledgeAPI.semanticCache.count()
         }
       },
       appointments: appointmentStats
@@ -212,7 +899,7 @@ app.post('/tools/schedule_appointment', async (req, res) => {
       });
     }
 
-    const result = await orchestrator.scheduleAPI.scheduleAppointment({
+    const result = await req.tenant.orchestrator.scheduleAPI.scheduleAppointment({
       name: patient,
       slot: preferred_slot_iso,
       location
@@ -241,7 +928,7 @@ app.post('/tools/reschedule_appointment', async (req, res) => {
       });
     }
 
-    const result = await orchestrator.scheduleAPI.rescheduleAppointment(appt_id, new_slot_iso);
+    const result = await req.tenant.orchestrator.scheduleAPI.rescheduleAppointment(appt_id, new_slot_iso);
     
     res.json(result);
   } catch (error) {
@@ -258,7 +945,7 @@ app.post('/tools/reschedule_appointment', async (req, res) => {
  */
 app.get('/appointments', async (req, res) => {
   try {
-    const appointments = await orchestrator.scheduleAPI.getAllAppointments();
+    const appointments = await req.tenant.orchestrator.scheduleAPI.getAllAppointments();
     res.json({
       appointments,
       count: appointments.length
@@ -278,7 +965,7 @@ app.get('/appointments', async (req, res) => {
 app.get('/appointments/:appt_id', async (req, res) => {
   try {
     const { appt_id } = req.params;
-    const appointment = await orchestrator.scheduleAPI.getAppointment(appt_id);
+    const appointment = await req.tenant.orchestrator.scheduleAPI.getAppointment(appt_id);
     
     if (!appointment) {
       return res.status(404).json({
@@ -302,7 +989,7 @@ app.get('/appointments/:appt_id', async (req, res) => {
 app.delete('/appointments/:appt_id', async (req, res) => {
   try {
     const { appt_id } = req.params;
-    const result = await orchestrator.scheduleAPI.cancelAppointment(appt_id);
+    const result = await req.tenant.orchestrator.scheduleAPI.cancelAppointment(appt_id);
     res.json(result);
   } catch (error) {
     console.error('[CANCEL] Error:', error);
@@ -318,7 +1005,7 @@ app.delete('/appointments/:appt_id', async (req, res) => {
  */
 app.delete('/appointments', async (req, res) => {
   try {
-    const result = await orchestrator.scheduleAPI.deleteAllAppointments();
+    const result = await req.tenant.orchestrator.scheduleAPI.deleteAllAppointments();
     res.json(result);
   } catch (error) {
     console.error('[DELETE_ALL_APPOINTMENTS] Error:', error);
@@ -334,8 +1021,8 @@ app.delete('/appointments', async (req, res) => {
  */
 app.delete('/cache/clear', async (req, res) => {
   try {
-    await orchestrator.knowledgeAPI.clearCache();
-    await orchestrator.memory.clearAll();
+    await req.tenant.orchestrator.knowledgeAPI.clearCache();
+    await req.tenant.orchestrator.memory.clearAll();
     
     res.json({
       ok: true,
@@ -355,7 +1042,7 @@ app.delete('/cache/clear', async (req, res) => {
  */
 app.delete('/knowledge/reset', async (req, res) => {
   try {
-    const result = await qdrantDao.resetCollection();
+    const result = await req.tenant.qdrantDao.resetCollection();
     res.json(result);
   } catch (error) {
     console.error('[RESET] Error:', error);
@@ -366,13 +1053,40 @@ app.delete('/knowledge/reset', async (req, res) => {
   }
 });
 
+/**
+ * DELETE /knowledge/:doc_id - Remove one document (registered after /knowledge/reset)
+ */
+app.delete('/knowledge/:doc_id', async (req, res) => {
+  try {
+    const { doc_id } = req.params;
+    const result = await req.tenant.qdrantDao.deleteDocument(doc_id);
+    
+    if (!result.ok) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+    
+    res.json({
+      ...result,
+      message: `Deleted document ${doc_id} (${result.deleted_chunks} chunks)`
+    });
+  } catch (error) {
+    console.error('[KNOWLEDGE_DELETE] Error:', error);
+    res.status(500).json({
+      error: 'Failed to delete document',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /debug/sessions - Debug endpoint for sessions
  */
 app.get('/debug/sessions', async (req, res) => {
   try {
-    const sessions = await orchestrator.memory.getAllSessions();
-    const count = await orchestrator.memory.getSessionCount();
+    const sessions = await req.tenant.orchestrator.memory.getAllSessions();
+    const count = await req.tenant.orchestrator.memory.getSessionCount();
     
     res.json({
       session_count: count,
@@ -400,6 +1114,16 @@ app.get('/', (req, res) => {
     endpoints: {
       'POST /chat': 'Process chat with intent detection (schedule/knowledge)',
       'POST /knowledge': 'Upsert documents to knowledge base',
+      'POST /knowledge/upload': 'Upload JSONL, Markdown, HTML or text files',
+      'POST /knowledge/jobs': 'Start a background ingestion job',
+      'GET /knowledge/jobs': 'List ingestion jobs',
+      'GET /knowledge/jobs/:id': 'Ingestion job status and progress',
+      'POST /knowledge/jobs/:id/cancel': 'Cancel an ingestion job',
+      'POST /knowledge/jobs/:id/retry': 'Resume a failed or cancelled ingestion job',
+      'POST /knowledge/search': 'Search the knowledge base (with filters, ?explain=true traces ranking)',
+      'GET /knowledge': 'List knowledge base documents',
+      'GET /knowledge/:doc_id': 'Get a document and its chunks',
+      'DELETE /knowledge/:doc_id': 'Delete one document',
       'GET /health': 'Health check',
       'GET /stats': 'System statistics (detailed)',
       'DELETE /cache/clear': 'Clear all caches',
@@ -410,8 +1134,13 @@ app.get('/', (req, res) => {
       'GET /appointments/:appt_id': 'Get appointment',
       'DELETE /appointments/:appt_id': 'Cancel appointment',
       'DELETE /appointments': 'Delete all appointments',
-      'GET /debug/sessions': 'View session memory'
-    }
+      'GET /debug/sessions': 'View session memory',
+      'POST /admin/tenants': 'Provision a tenant (X-Admin-Key)',
+      'GET /admin/tenants': 'List tenants (X-Admin-Key)',
+      'GET /admin/tenants/:id': 'Get a tenant (X-Admin-Key)',
+      'DELETE /admin/tenants/:id': 'Delete a tenant and its data (X-Admin-Key)'
+    },
+    tenancy: 'Send X-API-Key (tenant key) or X-Tenant-Id; requests without either use the default tenant'
   });
 });
 
@@ -432,6 +1161,38 @@ app.use((req, res) => {
   });
 });
 
+/**
+ * Build the services for one tenant: its collection and BM25 index, background
+ * ingestion jobs (interrupted jobs can be retried) and a warmed-up orchestrator
+ */
+async function createTenantContext(tenantId) {
+  const qdrantDao = new QdrantDao({ tenant: tenantId });
+  await qdrantDao.ensureCollection();
+
+  // Rebuild BM25 index from the collection so hybrid search survives restarts
+  try {
+    await qdrantDao.rebuildLexicalIndex();
+  } catch (error) {
+    console.error(`⚠️  BM25 index rebuild failed for tenant ${tenantId}, hybrid search degraded to vector-only:`, error.message);
+  }
+
+  const ingestionJobs = new IngestionJobManager(qdrantDao);
+  await ingestionJobs.recoverJobs();
+
+  const orchestrator = new Orchestrator(qdrantDao, { intentDetector });
+  await orchestrator.initialize();
+
+  // Warm up with common queries
+  const commonQueries = [
+    "what's our late policy",
+    "where do patients park",
+    "what are the office hours"
+  ];
+  await orchestrator.warmIndex(commonQueries);
+
+  return { tenant: tenantId, qdrantDao, orchestrator, ingestionJobs };
+}
+
 /**
  * Start server
  */
@@ -439,23 +1200,21 @@ async function startServer() {
   try {
     console.log('🚀 Initializing FastLane RAG Orchestrator v2.0...');
     
-    // Initialize Qdrant DAO
-    qdrantDao = new QdrantDao();
-    await qdrantDao.ensureCollection();
-    
-    // Initialize Orchestrator
-    orchestrator = new Orchestrator(qdrantDao);
+    // FastText model is shared by every tenant's orchestrator
+    intentDetector = new IntentDetector();
+    await intentDetector.load();
     
-    // Initialize FastText model
-    await orchestrator.initialize();
+    // Default tenant first (its Redis client also holds the tenant registry)
+    const defaultContext = createTenantContext(DEFAULT_TENANT);
+    tenants = new TenantManager((await defaultContext).qdrantDao.redis, createTenantContext);
+    tenants.contexts.set(DEFAULT_TENANT, defaultContext);
     
-    // Warm up with common queries
-    const commonQueries = [
-      "what's our late policy",
-      "where do patients park",
-      "what are the office hours"
-    ];
-    await orchestrator.warmIndex(commonQueries);
+    // Load provisioned tenants so their interrupted ingestion jobs are recovered
+    for (const tenant of await tenants.listTenants()) {
+      if (tenant.id !== DEFAULT_TENANT) {
+        await tenants.getContext(tenant.id);
+      }
+    }
     
     // Start listening
     app.listen(port, () => {
@@ -463,6 +1222,7 @@ async function startServer() {
       console.log(`📚 API Docs: http://localhost:${port}/api-docs`);
       console.log(`📊 Health check: http://localhost:${port}/health`);
       console.log(`🎯 Architecture: FastText ML-based intent detection`);
+      console.log(`🏥 Tenants: ${tenants.contexts.size}`);
       console.log(`⏱️  Target latency: <500ms end-to-end`);
     });
   } catch (error) {
@@ -475,8 +1235,8 @@ async function startServer() {
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down FastLane RAG Orchestrator...');
   try {
-    await qdrantDao.redis.quit();
-    console.log('✅ Redis connection closed');
+    await tenants.closeAll();
+    console.log('✅ Redis connections closed');
   } catch (error) {
     console.error('Error during shutdown:', error);
   }
@@ -486,8 +1246,8 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Shutting down FastLane RAG Orchestrator...');
   try {
-    await qdrantDao.redis.quit();
-    console.log('✅ Redis connection closed');
+    await tenants.closeAll();
+    console.log('✅ Redis connections closed');
   } catch (error) {
     console.error('Error during shutdown:', error);
   }
@@ -0,0 +1,159 @@
+const OpenAI = require('openai');
+const natural = require('natural');
+
+/**
+ * Grounded answer generators
+ * Every generator exposes the same surface so KnowledgeAPI never needs to know
+ * which backend wrote the answer:
+ *   - name / model
+ *   - generate({ question, contexts: [{ ref, source, text }] })
+ *       -> Promise<{ answer, refused }>
+ * Answers cite contexts inline with [ref] markers; refused answers are null.
+ */
+
+const REFUSAL_TOKEN = 'INSUFFICIENT_CONTEXT';
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+/**
+ * OpenAI chat completions, constrained to the supplied context
+ */
+class OpenAIAnswerGenerator {
+  constructor({ model = 'gpt-4o-mini', apiKey = process.env.OPENAI_API_KEY, maxTokens = 200 } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.apiKey = apiKey;
+    this.maxTokens = maxTokens;
+    this.client = null; // Created lazily so an offline setup never needs a key
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  buildMessages(question, contexts) {
+    const context = contexts
+      .map(c => `[${c.ref}] (${c.source})\n${c.text}`)
+      .join('\n\n');
+
+    return [
+      {
+        role: 'system',
+        content: 'You answer patient questions for a medical clinic using ONLY the numbered context passages. ' +
+          'Write at most 3 short sentences. After every fact, cite the passage it came from with its marker, e.g. [1] or [2]. ' +
+          'When passages disagree, prefer statements marked as temporary, current or most recent. ' +
+          `If the context does not answer the question, reply with exactly ${REFUSAL_TOKEN} and nothing else.`
+      },
+      {
+        role: 'user',
+        content: `Context:\n${context}\n\nQuestion: ${question}`
+      }
+    ];
+  }
+
+  async generate({ question, contexts }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: this.buildMessages(question, contexts),
+      temperature: 0,
+      max_tokens: this.maxTokens
+    });
+
+    const answer = (response.choices[0].message.content || '').trim();
+
+    if (answer.length === 0 || answer.includes(REFUSAL_TOKEN)) {
+      return { answer: null, refused: true };
+    }
+
+    return { answer, refused: false };
+  }
+}
+
+/**
+ * Deterministic local stub: stitches together the context sentences that share
+ * the most content words with the question. For tests and offline development.
+ */
+class LocalAnswerGenerator {
+  constructor({ maxSentences = 2, minOverlap = 0.34 } = {}) {
+    this.name = 'local';
+    this.model = 'extractive-stub';
+    this.maxSentences = maxSentences;
+    this.minOverlap = minOverlap;
+  }
+
+  terms(text) {
+    return new Set(
+      tokenizer.tokenize(text.toLowerCase())
+        .filter(token => !stopwords.has(token))
+        .map(token => natural.PorterStemmer.stem(token))
+    );
+  }
+
+  async generate({ question, contexts }) {
+    const questionTerms = this.terms(question);
+    if (questionTerms.size === 0) {
+      return { answer: null, refused: true };
+    }
+
+    const candidates = [];
+    for (const context of contexts) {
+      const sentences = context.text
+        .replace(/===\s*[^=\n]+?\s*===/g, '\n')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.trim())
+        .filter(s => s.length > 10);
+
+      sentences.forEach((sentence, position) => {
+        const sentenceTerms = this.terms(sentence);
+        const shared = [...questionTerms].filter(term => sentenceTerms.has(term)).length;
+        candidates.push({ sentence, ref: context.ref, position, overlap: shared / questionTerms.size });
+      });
+    }
+
+    // Stable ordering: overlap, then context rank, then position in the context
+    const supported = candidates
+      .filter(c => c.overlap >= this.minOverlap)
+      .sort((a, b) => (b.overlap - a.overlap) || (a.ref - b.ref) || (a.position - b.position))
+      .slice(0, this.maxSentences);
+
+    if (supported.length === 0) {
+      return { answer: null, refused: true };
+    }
+
+    return {
+      answer: supported.map(c => `${c.sentence} [${c.ref}]`).join(' '),
+      refused: false
+    };
+  }
+}
+
+/**
+ * Create an answer generator from config (defaults to environment)
+ * @param {Object} config - { generator, model }
+ * @returns {OpenAIAnswerGenerator|LocalAnswerGenerator}
+ */
+function createAnswerGenerator(config = {}) {
+  const generator = (config.generator || process.env.ANSWER_GENERATOR || 'openai').toLowerCase();
+
+  switch (generator) {
+    case 'openai':
+      return new OpenAIAnswerGenerator({
+        model: config.model || process.env.ANSWER_MODEL || 'gpt-4o-mini'
+      });
+    case 'local':
+      return new LocalAnswerGenerator();
+    default:
+      throw new Error(`Unknown answer generator: ${generator} (expected "openai" or "local")`);
+  }
+}
+
+module.exports = {
+  OpenAIAnswerGenerator,
+  LocalAnswerGenerator,
+  createAnswerGenerator,
+  REFUSAL_TOKEN
+};
@@ -0,0 +1,149 @@
+const natural = require('natural');
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+/**
+ * Corpus statistics for BM25 sentence scoring
+ * Built from the ingested chunks (split into sentences) and rebuilt whenever the
+ * lexical index changes, so IDF and average length track the live corpus.
+ */
+class Bm25Corpus {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documentFrequency = new Map();
+    this.sentenceCount = 0;
+    this.avgLength = 0;
+  }
+
+  /**
+   * Lowercase, tokenize, drop stopwords and stem
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Stemmed terms
+   */
+  static tokenize(text) {
+    return tokenizer.tokenize(text.toLowerCase())
+      .filter(token => !stopwords.has(token))
+      .map(token => natural.PorterStemmer.stem(token));
+  }
+
+  /**
+   * Sentences of a chunk ("=== SECTION ===" headers removed)
+   */
+  static sentences(text) {
+    return text
+      .replace(/===\s*[^=\n]+?\s*===/g, '\n')
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+  }
+
+  /**
+   * Rebuild statistics from chunk texts
+   * @param {Iterable<string>} texts - Chunk texts
+   * @returns {Bm25Corpus} this
+   */
+  build(texts) {
+    const documentFrequency = new Map();
+    let sentenceCount = 0;
+    let totalLength = 0;
+
+    for (const text of texts) {
+      for (const sentence of Bm25Corpus.sentences(text)) {
+        const terms = Bm25Corpus.tokenize(sentence);
+        if (terms.length === 0) continue;
+
+        sentenceCount++;
+        totalLength += terms.length;
+        for (const term of new Set(terms)) {
+          documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        }
+      }
+    }
+
+    this.documentFrequency = documentFrequency;
+    this.sentenceCount = sentenceCount;
+    this.avgLength = sentenceCount > 0 ? totalLength / sentenceCount : 0;
+    return this;
+  }
+
+  /**
+   * Non-negative BM25 IDF (unseen terms get the maximum weight)
+   */
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.sentenceCount - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * BM25 score of a sentence for a query, normalized to [0, 1] by the score a
+   * sentence would get if it contained every query term with saturated frequency
+   * @param {string} query - Query text
+   * @param {string} sentence - Sentence text
+   * @returns {number} Normalized BM25 score
+   */
+  score(query, sentence) {
+    const queryTerms = [...new Set(Bm25Corpus.tokenize(query))];
+    const sentenceTerms = Bm25Corpus.tokenize(sentence);
+    if (queryTerms.length === 0 || sentenceTerms.length === 0) {
+      return 0;
+    }
+
+    const termFrequency = new Map();
+    for (const term of sentenceTerms) {
+      termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+    }
+
+    const avgLength = this.avgLength || sentenceTerms.length;
+    const lengthNorm = 1 - this.b + this.b * (sentenceTerms.length / avgLength);
+
+    let score = 0;
+    let maxScore = 0;
+    for (const term of queryTerms) {
+      const idf = this.idf(term);
+      const tf = termFrequency.get(term) || 0;
+      score += idf * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+      maxScore += idf * (this.k1 + 1);
+    }
+
+    return maxScore > 0 ? Math.min(1, score / maxScore) : 0;
+  }
+
+  /**
+   * Portable form of the corpus statistics (knowledge-base exports)
+   */
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      sentence_count: this.sentenceCount,
+      avg_length: this.avgLength,
+      document_frequency: Object.fromEntries(this.documentFrequency)
+    };
+  }
+
+  /**
+   * Corpus from toJSON() output
+   */
+  static fromJSON(data) {
+    const corpus = new Bm25Corpus({ k1: data.k1, b: data.b });
+    corpus.documentFrequency = new Map(Object.entries(data.document_frequency || {}));
+    corpus.sentenceCount = data.sentence_count || 0;
+    corpus.avgLength = data.avg_length || 0;
+    return corpus;
+  }
+
+  /**
+   * Summary for stats/debugging
+   */
+  stats() {
+    return {
+      sentences: this.sentenceCount,
+      vocabulary: this.documentFrequency.size,
+      avg_sentence_length: Math.round(this.avgLength * 100) / 100
+    };
+  }
+}
+
+module.exports = Bm25Corpus;
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { filtersCacheKey } = require('./filters');
+
+/**
+ * Redis cache keys
+ * Keys are SHA-256 digests of the full content (never truncated text), so two
+ * inputs only share an entry when they are equal after normalization:
+ *   query:<sha256>                         hybrid search results
+ *   knowledge:<sha256>                     composed answers
+ *   emb:<model>:<dimensions>:<sha256>      embeddings (exact text, per model and size)
+ * Query and answer keys include the knowledge-base epoch (kb:epoch), which moves
+ * on when documents are added, so results computed before the change are not reused.
+ */
+
+/**
+ * SHA-256 hex digest of the parts (separated so ["ab", "c"] != ["a", "bc"])
+ */
+function digest(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+}
+
+/**
+ * Canonical form of a user query for caching: Unicode-normalized, lowercase,
+ * apostrophes dropped, other punctuation treated as whitespace, whitespace collapsed.
+ * "Where do patients  park?" and "where do patients park" share a key.
+ */
+function normalizeQuery(query) {
+  return String(query)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/['’`]/g, '')
+    .replace(/[^\p{L}\p{N}$%]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Canonical form of ranking options ({ k, rerankDepth, mmrLambda }; keys sorted, unset ones omitted)
+ */
+function rankingCacheKey(ranking) {
+  const entries = Object.keys(ranking || {}).sort()
+    .filter(key => ranking[key] !== undefined)
+    .map(key => [key, ranking[key]]);
+  return entries.length > 0 ? JSON.stringify(entries) : '';
+}
+
+/**
+ * Key for cached search results
+ * @param {string} query - Search query
+ * @param {Object|null} filters - Normalized retrieval filters
+ * @param {number} epoch - Knowledge-base epoch
+ * @param {Object|null} ranking - { k, rerankDepth, mmrLambda }
+ */
+function queryCacheKey(query, filters = null, epoch = 0, ranking = null) {
+  return `query:${digest(epoch, normalizeQuery(query), filtersCacheKey(filters), rankingCacheKey(ranking))}`;
+}
+
+/**
+ * Key for a cached answer
+ * @param {string} message - User question
+ * @param {Object} options - { mode, filters, epoch, ranking } (ranking: per-request overrides only)
+ */
+function answerCacheKey(message, { mode, filters = null, epoch = 0, ranking = null } = {}) {
+  return `knowledge:${digest(epoch, mode || '', normalizeQuery(message), filtersCacheKey(filters), rankingCacheKey(ranking))}`;
+}
+
+/**
+ * Key for a cached embedding; the text is hashed verbatim because it is what gets embedded
+ * @param {string} text - Embedded text
+ * @param {Object} embedder - { model, dimensions }
+ */
+function embeddingCacheKey(text, { model, dimensions }) {
+  return `emb:${model}:${dimensions}:${digest(text)}`;
+}
+
+module.exports = {
+  digest,
+  normalizeQuery,
+  queryCacheKey,
+  answerCacheKey,
+  embeddingCacheKey
+};
@@ -0,0 +1,147 @@
+/**
+ * Structure-aware chunker
+ * Splits documents on "=== SECTION ===" headers, keeps each section whole when it
+ * fits in maxTokens and otherwise splits it on sentence boundaries with overlap.
+ * Every chunk carries its section title so citations can name it.
+ */
+class SectionChunker {
+  constructor({ maxTokens = 512, overlapTokens = 50 } = {}) {
+    this.maxTokens = maxTokens;
+    this.overlapTokens = Math.min(overlapTokens, Math.floor(maxTokens / 2));
+  }
+
+  /**
+   * Rough token estimate (~4 characters per token, per word)
+   */
+  estimateTokens(text) {
+    return text.split(/\s+/).filter(w => w.length > 0)
+      .reduce((sum, word) => sum + Math.ceil(word.length / 4), 0);
+  }
+
+  /**
+   * Split text into sections on "=== TITLE ===" markers
+   * @param {string} text - Document text
+   * @returns {Array<Object>} [{ title, body }] (title is null for text before the first header)
+   */
+  parseSections(text) {
+    const parts = text.split(/===\s*([^=\n]+?)\s*===/);
+    const sections = [];
+
+    // parts = [preamble, title1, body1, title2, body2, ...]
+    const preamble = parts[0].trim();
+    if (preamble.length > 0) {
+      sections.push({ title: null, body: preamble });
+    }
+
+    for (let i = 1; i < parts.length; i += 2) {
+      const body = (parts[i + 1] || '').trim();
+      if (body.length > 0) {
+        sections.push({ title: parts[i].trim(), body });
+      }
+    }
+
+    return sections;
+  }
+
+  /**
+   * Chunk a document
+   * @param {string} text - Document text
+   * @returns {Array<Object>} [{ text, section }]
+   */
+  chunk(text) {
+    const chunks = [];
+
+    for (const { title, body } of this.parseSections(text)) {
+      const header = title ? `=== ${title} ===\n` : '';
+      const budget = this.maxTokens - this.estimateTokens(header);
+
+      for (const piece of this.splitSection(body, budget)) {
+        chunks.push({ text: header + piece, section: title });
+      }
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Split one section body into pieces of at most `budget` tokens
+   */
+  splitSection(body, budget) {
+    if (this.estimateTokens(body) <= budget) {
+      return [body];
+    }
+
+    const units = this.splitIntoUnits(body, budget);
+    const pieces = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const unit of units) {
+      const unitTokens = this.estimateTokens(unit);
+
+      if (currentTokens + unitTokens > budget && current.length > 0) {
+        pieces.push(current.join(' '));
+
+        // Carry trailing sentences forward as overlap
+        const overlap = [];
+        let overlapTokens = 0;
+        for (let i = current.length - 1; i >= 0; i--) {
+          const tokens = this.estimateTokens(current[i]);
+          if (overlapTokens + tokens > this.overlapTokens || overlapTokens + tokens + unitTokens > budget) break;
+          overlap.unshift(current[i]);
+          overlapTokens += tokens;
+        }
+
+        current = overlap;
+        currentTokens = overlapTokens;
+      }
+
+      current.push(unit);
+      currentTokens += unitTokens;
+    }
+
+    if (current.length > 0) {
+      pieces.push(current.join(' '));
+    }
+
+    return pieces;
+  }
+
+  /**
+   * Sentences, with any sentence longer than the budget broken into word runs
+   */
+  splitIntoUnits(body, budget) {
+    const sentences = body
+      .split(/(?<=[.!?])\s+|\n+/)
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+
+    const units = [];
+    for (const sentence of sentences) {
+      if (this.estimateTokens(sentence) <= budget) {
+        units.push(sentence);
+        continue;
+      }
+
+      let run = [];
+      let runTokens = 0;
+      for (const word of sentence.split(/\s+/)) {
+        const wordTokens = Math.ceil(word.length / 4);
+        if (runTokens + wordTokens > budget && run.length > 0) {
+          units.push(run.join(' '));
+          run = [];
+          runTokens = 0;
+        }
+        run.push(word);
+        runTokens += wordTokens;
+      }
+      if (run.length > 0) {
+        units.push(run.join(' '));
+      }
+    }
+
+    return units;
+  }
+}
+
+module.exports = SectionChunker;
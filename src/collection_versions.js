@@ -0,0 +1,292 @@
+/**
+ * Collection versions (embedding model migrations)
+ * The knowledge base is served through a Qdrant alias (collectionName) that points at
+ * one versioned collection, <collectionName>.v<N>. A reindex builds the next version from
+ * the source document registry (kbdoc:<doc_id>) with the configured embedder, catches up
+ * with documents changed meanwhile and swaps the alias atomically; earlier versions stay
+ * in Qdrant so the swap can be rolled back.
+ */
+class CollectionVersions {
+  constructor(qdrantDao) {
+    this.qdrantDao = qdrantDao;
+    this.redis = qdrantDao.redis;
+  }
+
+  /**
+   * Every version with its embedder and size, newest first
+   * @returns {Array<Object>} [{ version, collection, embedding_model, embedding_dimensions, created_at, points_count, active }]
+   */
+  async listVersions() {
+    const dao = this.qdrantDao;
+    const active = await dao.resolveCollection();
+    const { collections } = await dao.vectorStore.getCollections();
+
+    const versions = collections
+      .map(col => dao.collectionVersion(col.name))
+      .filter(version => version !== null);
+
+    const records = await Promise.all(versions.map(async version => {
+      const collection = dao.versionCollectionName(version);
+      const record = await dao.getCollectionVersion(version) || {};
+      const info = await dao.vectorStore.getCollection(collection);
+
+      return {
+        version,
+        collection,
+        embedding_model: record.embedding_model || null,
+        embedding_dimensions: info.config.params.vectors.size,
+        created_at: record.created_at || null,
+        points_count: info.points_count,
+        active: Boolean(active && active.collection === collection)
+      };
+    }));
+
+    return records.sort((a, b) => b.version - a.version);
+  }
+
+  /**
+   * Build the next version from the source registry and swap the alias to it
+   * A legacy (pre-versioning) collection is first copied into a version of its own, so the
+   * migration can be rolled back, and is deleted just before the alias takes its name.
+   * @param {Object} options - { force: reindex even if some documents have no stored source,
+   *   onProgress({ documents, chunks }) }
+   * @returns {Object} { ok, version, collection, previous_version, documents, chunks, caught_up, missing_sources?, error? }
+   */
+  async reindex({ force = false, onProgress } = {}) {
+    const dao = this.qdrantDao;
+    const previous = await dao.resolveCollection();
+
+    // Documents ingested before the source registry existed cannot be re-embedded
+    const sourceIds = new Set(await this.redis.smembers('kbdocs:all'));
+    const indexedIds = previous ? [...(await this.documentHashes(previous.collection)).keys()] : [];
+    const missing = indexedIds.filter(docId => !sourceIds.has(docId));
+    if (missing.length > 0 && !force) {
+      return {
+        ok: false,
+        error: `${missing.length} document(s) have no stored source and would be dropped; re-ingest them or reindex with --force`,
+        missing_sources: missing
+      };
+    }
+
+    let version = await this.nextVersion();
+    let previousVersion = previous ? previous.version : null;
+
+    if (previous && previous.legacy) {
+      await this.copyCollection(previous.collection, version);
+      previousVersion = version++;
+    }
+
+    const collection = await dao.createCollectionVersion(version);
+    console.log(`[COLLECTION_VERSIONS] Building ${collection} with ${dao.embeddingModel} (${dao.embeddingDimensions} dimensions)`);
+
+    await this.syncSources(collection, { onProgress });
+    // Catch up with documents ingested, changed or deleted while the version was being built
+    const caughtUp = await this.syncSources(collection);
+
+    if (previous && previous.legacy) {
+      await dao.vectorStore.deleteCollection(previous.collection);
+    }
+    await dao.switchAlias(collection);
+
+    // Cached search results were ranked with the previous embeddings
+    await dao.bumpCacheEpoch();
+
+    const info = await dao.vectorStore.getCollection(collection);
+    console.log(`[COLLECTION_VERSIONS] ${dao.collectionName} now serves ${collection} (${info.points_count} chunks)`);
+
+    return {
+      ok: true,
+      version,
+      collection,
+      previous_version: previousVersion,
+      documents: (await this.documentHashes(collection)).size,
+      chunks: info.points_count,
+      caught_up: { written: caughtUp.written, deleted: caughtUp.deleted },
+      ...(missing.length > 0 && { missing_sources: missing })
+    };
+  }
+
+  /**
+   * Point the alias back at an earlier version (the newest one older than the active version by default)
+   * The target is first brought up to date with the source registry when it was built with the
+   * configured embedder; otherwise the response lists the embedder the servers need.
+   * @param {number|null} version - Version to serve
+   * @returns {Object} { ok, version, collection, previous_version, embedding_model, embedding_dimensions, synced, error? }
+   */
+  async rollback(version = null) {
+    const dao = this.qdrantDao;
+    const active = await dao.resolveCollection();
+    if (!active || active.version === null) {
+      return { ok: false, error: 'No versioned collection is being served; nothing to roll back' };
+    }
+
+    const versions = await this.listVersions();
+    const target = version === null
+      ? versions.find(entry => entry.version < active.version)
+      : versions.find(entry => entry.version === version);
+
+    if (!target) {
+      return { ok: false, error: version === null ? 'No earlier version to roll back to' : `Version ${version} does not exist` };
+    }
+    if (target.active) {
+      return { ok: false, error: `Version ${target.version} is already active` };
+    }
+
+    const compatible = target.embedding_dimensions === dao.embeddingDimensions &&
+      (!target.embedding_model || target.embedding_model === dao.embeddingModel);
+    const synced = compatible ? await this.syncSources(target.collection) : null;
+
+    await dao.switchAlias(target.collection);
+    await dao.bumpCacheEpoch();
+    console.log(`[COLLECTION_VERSIONS] Rolled ${dao.collectionName} back to ${target.collection}`);
+
+    return {
+      ok: true,
+      version: target.version,
+      collection: target.collection,
+      previous_version: active.version,
+      embedding_model: target.embedding_model,
+      embedding_dimensions: target.embedding_dimensions,
+      synced: synced && { written: synced.written, deleted: synced.deleted }
+    };
+  }
+
+  /**
+   * Delete an inactive version
+   * @returns {Object} { ok, version, collection?, error? }
+   */
+  async dropVersion(version) {
+    const dao = this.qdrantDao;
+    const entry = (await this.listVersions()).find(candidate => candidate.version === version);
+
+    if (!entry) {
+      return { ok: false, version, error: `Version ${version} does not exist` };
+    }
+    if (entry.active) {
+      return { ok: false, version, error: `Version ${version} is being served; roll back or reindex first` };
+    }
+
+    await dao.vectorStore.deleteCollection(entry.collection);
+    await dao.deleteCollectionVersion(version);
+    console.log(`[COLLECTION_VERSIONS] Dropped ${entry.collection}`);
+    return { ok: true, version, collection: entry.collection };
+  }
+
+  // One past the highest version in Qdrant or the registry
+  async nextVersion() {
+    const { collections } = await this.qdrantDao.vectorStore.getCollections();
+    const versions = [
+      ...collections.map(col => this.qdrantDao.collectionVersion(col.name)),
+      ...(await this.redis.smembers('kb:versions')).map(version => parseInt(version, 10))
+    ].filter(version => Number.isInteger(version));
+
+    return Math.max(0, ...versions) + 1;
+  }
+
+  // doc_id -> content_hash for every document in a collection
+  async documentHashes(collection) {
+    const hashes = new Map();
+    let offset = undefined;
+
+    do {
+      const page = await this.qdrantDao.vectorStore.scroll(collection, {
+        limit: 256,
+        offset,
+        with_payload: ['doc_id', 'content_hash'],
+        with_vector: false
+      });
+
+      for (const point of page.points) {
+        hashes.set(point.payload.doc_id, point.payload.content_hash || '');
+      }
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+
+    return hashes;
+  }
+
+  /**
+   * Make a collection match the source registry: documents whose content hash differs
+   * (or that are missing) are embedded and written, documents without a source are deleted
+   * @returns {Object} { written: [doc_id], deleted: [doc_id] }
+   */
+  async syncSources(collection, { onProgress } = {}) {
+    const dao = this.qdrantDao;
+    const stored = await this.documentHashes(collection);
+    const sourceIds = (await this.redis.smembers('kbdocs:all')).sort();
+    const result = { written: [], deleted: [] };
+    let chunks = 0;
+
+    for (const docId of sourceIds) {
+      const source = await dao.getSourceDocument(docId);
+      if (!source) continue;
+
+      const doc = {
+        id: source.id,
+        text: source.text,
+        tags: source.tags,
+        metadata: source.metadata,
+        effective_from: source.effective_from,
+        effective_until: source.effective_until,
+        sections: source.sections
+      };
+      const hash = dao.contentHash(doc);
+      if (stored.get(docId) === hash) continue;
+
+      const points = await dao.writeDocument(doc, { hash, ingestedAt: source.ingested_at, collection });
+      result.written.push(docId);
+      chunks += points.length;
+
+      // Chunking settings may have changed since the document was ingested
+      if (source.content_hash !== hash || source.chunk_count !== points.length) {
+        await dao.saveSourceDocument({ ...source, content_hash: hash, chunk_count: points.length });
+      }
+
+      if (onProgress) onProgress({ documents: result.written.length, chunks });
+    }
+
+    const sources = new Set(sourceIds);
+    for (const docId of stored.keys()) {
+      if (sources.has(docId)) continue;
+
+      await dao.vectorStore.delete(collection, {
+        wait: true,
+        filter: { must: [{ key: 'doc_id', match: { value: docId } }] }
+      });
+      result.deleted.push(docId);
+    }
+
+    return result;
+  }
+
+  // Copy every point (vectors included) into a new version, keeping the source's vector size
+  async copyCollection(source, version) {
+    const dao = this.qdrantDao;
+    const info = await dao.vectorStore.getCollection(source);
+    const collection = await dao.createCollectionVersion(version, {
+      dimensions: info.config.params.vectors.size,
+      model: null // Not recorded before versioning
+    });
+
+    let offset = undefined;
+    let copied = 0;
+    do {
+      const page = await dao.vectorStore.scroll(source, {
+        limit: 256,
+        offset,
+        with_payload: true,
+        with_vector: true
+      });
+
+      const points = page.points.map(point => ({ id: point.id, vector: point.vector, payload: point.payload }));
+      await dao.upsertPoints(points, collection);
+      copied += points.length;
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+
+    console.log(`[COLLECTION_VERSIONS] Copied ${copied} points from ${source} into ${collection}`);
+    return collection;
+  }
+}
+
+module.exports = CollectionVersions;
@@ -0,0 +1,217 @@
+const natural = require('natural');
+
+const tokenizer = new natural.WordTokenizer();
+const stopwords = new Set(natural.stopwords);
+
+// Wording that marks a statement as an override of the standing rule
+const OVERRIDE_MARKERS = [
+  /\btemporar(?:y|ily)\b/i,
+  /\bcurrently\b/i,
+  /\b(?:right )?now\b/i,
+  /\buntil further notice\b/i,
+  /\beffective (?:immediately|from|as of)\b/i,
+  /\b(?:has|have) been (?:increased|reduced|changed|updated|moved|extended|shortened)\b/i,
+  /\b(?:increased|reduced|changed|updated) to\b/i,
+  /\bno longer\b/i,
+  /\binstead\b/i,
+  /\bduring (?:this period|construction|the construction|peak season)\b/i
+];
+
+// Named identifiers that can contradict each other ("Lot B" vs "Lot C")
+const IDENTIFIER_PATTERN = /\b(Lot|Building|Suite|Room|Floor|Level|Gate|Entrance|Wing|Door)\s+([A-Z0-9])\b/g;
+// Phone numbers and clock times are values of their own, never read as bare numbers
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]\d{4}\b/g;
+const TIME_PATTERN = /\b\d{1,2}(?::\d{2})?\s*[ap]\.?m\b\.?|\b\d{1,2}:\d{2}\b/gi;
+const AMOUNT_PATTERN = /\$\d+(?:[.,]\d+)*/g;
+// A number and the word it counts ("10-minute", "2 hours"); bare numbers are not compared
+const QUANTITY_PATTERN = /\b(\d+(?:\.\d+)?)(?:\s*-\s*|\s+)([a-z]+)/gi;
+const DAY_PATTERN = /\b(?:(?:mon|tues|wednes|thurs|fri|satur|sun)day|weekday|weekend)s?\b/gi;
+
+// Words that say what a value is about: phone numbers are only compared between statements
+// about a phone line, clock times only between statements about opening hours
+const PHONE_SUBJECT = 'phone';
+const PHONE_TERMS = new Set(['call', 'phone', 'number', 'line', 'fax', 'dial'].map(term => natural.PorterStemmer.stem(term)));
+const TIME_TERMS = new Set(['hour', 'open', 'close', 'time', 'start', 'end', 'begin'].map(term => natural.PorterStemmer.stem(term)));
+// Politeness that two unrelated instructions share ("please call us")
+const FILLER_TERMS = new Set(['pleas', 'us']);
+
+/**
+ * Detects contradictory candidate statements (a base rule and its temporary
+ * override) and picks the one that should be served as current.
+ */
+class ConflictResolver {
+  constructor({ minTopicOverlap = 0.4, minSharedTerms = 2 } = {}) {
+    this.minTopicOverlap = minTopicOverlap;
+    this.minSharedTerms = minSharedTerms;
+  }
+
+  /**
+   * Sentence with its values blanked out (phone numbers and times first, so their digits
+   * are never read as other values)
+   */
+  withoutValues(sentence) {
+    return [PHONE_PATTERN, TIME_PATTERN, IDENTIFIER_PATTERN, AMOUNT_PATTERN]
+      .reduce((text, pattern) => text.replace(pattern, ' '), sentence);
+  }
+
+  /**
+   * Stemmed content words (values removed; call/phone/number/line count as one term)
+   */
+  topicTerms(sentence) {
+    return new Set(
+      tokenizer.tokenize(this.withoutValues(sentence).toLowerCase())
+        .filter(token => token.length > 1 && !stopwords.has(token) && !/^\d+$/.test(token))
+        .map(token => natural.PorterStemmer.stem(token))
+        .filter(term => !FILLER_TERMS.has(term))
+        .map(term => (PHONE_TERMS.has(term) ? PHONE_SUBJECT : term))
+    );
+  }
+
+  /**
+   * Days a statement is limited to ("Saturday", "weekends")
+   */
+  days(sentence) {
+    return new Set((sentence.match(DAY_PATTERN) || []).map(day => day.toLowerCase().replace(/s$/, '')));
+  }
+
+  /**
+   * Concrete values a rule states, keyed by what they measure: "identifier:lot", "amount",
+   * "quantity:<stemmed unit>", "phone" and "time"
+   * @returns {Map<string, Set<string>>}
+   */
+  values(sentence) {
+    const values = new Map();
+    const add = (key, value) => {
+      if (!values.has(key)) values.set(key, new Set());
+      values.get(key).add(value);
+    };
+
+    for (const match of sentence.matchAll(PHONE_PATTERN)) {
+      add('phone', match[0].replace(/\D/g, '').slice(-10));
+    }
+    for (const match of sentence.matchAll(TIME_PATTERN)) {
+      add('time', match[0].toLowerCase().replace(/[\s.]/g, '').replace(/^(\d+)([ap]m)$/, '$1:00$2'));
+    }
+
+    const rest = sentence.replace(PHONE_PATTERN, ' ').replace(TIME_PATTERN, ' ');
+    for (const match of rest.matchAll(IDENTIFIER_PATTERN)) {
+      add(`identifier:${match[1].toLowerCase()}`, match[2].toLowerCase());
+    }
+    for (const match of rest.matchAll(AMOUNT_PATTERN)) {
+      add('amount', match[0]);
+    }
+    for (const match of rest.replace(AMOUNT_PATTERN, ' ').matchAll(QUANTITY_PATTERN)) {
+      const unit = match[2].toLowerCase();
+      if (!stopwords.has(unit)) {
+        add(`quantity:${natural.PorterStemmer.stem(unit)}`, match[1]);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Number of override markers in a sentence
+   */
+  overrideScore(sentence) {
+    return OVERRIDE_MARKERS.filter(pattern => pattern.test(sentence)).length;
+  }
+
+  /**
+   * Two statements have the same subject when they share enough topic words and are not
+   * limited to different days
+   */
+  sameSubject(sentenceA, sentenceB) {
+    const topicA = this.topicTerms(sentenceA);
+    const topicB = this.topicTerms(sentenceB);
+    const shared = [...topicA].filter(term => topicB.has(term)).length;
+    const overlap = shared / Math.max(1, Math.min(topicA.size, topicB.size));
+
+    if (shared < this.minSharedTerms || overlap < this.minTopicOverlap) {
+      return false;
+    }
+
+    const daysA = this.days(sentenceA);
+    const daysB = this.days(sentenceB);
+    return daysA.size === 0 || daysB.size === 0 || [...daysA].some(day => daysB.has(day));
+  }
+
+  /**
+   * Two statements conflict when they talk about the same thing but state different values
+   * for it. Phone numbers only count when both statements are about a phone line, and times
+   * only when both are about hours.
+   */
+  conflicts(sentenceA, sentenceB) {
+    if (!this.sameSubject(sentenceA, sentenceB)) {
+      return false;
+    }
+
+    const topics = [this.topicTerms(sentenceA), this.topicTerms(sentenceB)];
+    const about = terms => topics.every(topic => [...terms].some(term => topic.has(term)));
+    const comparable = {
+      phone: about([PHONE_SUBJECT]),
+      time: about(TIME_TERMS)
+    };
+
+    // Only values measuring the same thing can contradict ("2 hours" vs "Lot C" or "$5" cannot)
+    const valuesA = this.values(sentenceA);
+    const valuesB = this.values(sentenceB);
+
+    return [...valuesA].some(([key, a]) => {
+      const b = valuesB.get(key);
+      if (!b || comparable[key] === false) {
+        return false;
+      }
+      return a.size !== b.size || ![...a].every(value => b.has(value));
+    });
+  }
+
+  /**
+   * Resolve conflicts between the best candidate and the other candidates
+   * Only statements from the same section of the same document are compared. Override
+   * wording decides which one is current; without it the later statement wins when both
+   * come from the same chunk, and statements from different chunks are left alone.
+   * @param {Array<Object>} candidates - Ranked [{ sentence, score, docId, section, chunk, position }]
+   *   (best first); position is the sentence's order in its chunk (later = more recent)
+   * @returns {Object} { detected, current, superseded }
+   */
+  resolve(candidates) {
+    if (candidates.length === 0) {
+      return { detected: false, current: null, superseded: [] };
+    }
+
+    const [best, ...others] = candidates;
+    const group = [best, ...others.filter(candidate =>
+      this.sameSection(best, candidate) &&
+      this.decidable(best, candidate) &&
+      this.conflicts(best.sentence, candidate.sentence)
+    )];
+
+    if (group.length === 1) {
+      return { detected: false, current: best, superseded: [] };
+    }
+
+    // Prefer explicit override wording, then the statement that appears later in the same chunk
+    const ranked = [...group].sort((a, b) =>
+      (this.overrideScore(b.sentence) - this.overrideScore(a.sentence)) ||
+      (a.chunk === b.chunk ? b.position - a.position : 0)
+    );
+
+    return {
+      detected: true,
+      current: ranked[0],
+      superseded: ranked.slice(1)
+    };
+  }
+
+  sameSection(a, b) {
+    return a.docId === b.docId && (a.section || null) === (b.section || null);
+  }
+
+  // Whether either statement can be told apart as the current one
+  decidable(a, b) {
+    return a.chunk === b.chunk || this.overrideScore(a.sentence) !== this.overrideScore(b.sentence);
+  }
+}
+
+module.exports = ConflictResolver;
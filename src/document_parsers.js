@@ -0,0 +1,348 @@
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const yaml = require('js-yaml');
+
+/**
+ * Document parsers for file and bulk ingestion
+ * Turn JSONL, Markdown, HTML and plain-text sources into knowledge documents
+ * ({ id, text, tags?, metadata?, effective_from?, effective_until?, sections? }).
+ * Headings become "=== TITLE ===" section markers so the chunker and citations
+ * keep the document structure.
+ */
+
+const FORMATS = ['jsonl', 'markdown', 'html', 'text'];
+
+const EXTENSION_FORMATS = {
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.txt': 'text'
+};
+
+// Front-matter keys that map onto document fields (anything else goes to metadata)
+const DOCUMENT_FIELDS = ['id', 'tags', 'metadata', 'effective_from', 'effective_until', 'sections'];
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Validate a document the way POST /knowledge does
+ * @param {Object} doc - Candidate document
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDocument(doc) {
+  if (!doc || typeof doc !== 'object' || typeof doc.text !== 'string') {
+    return 'needs an id and a text string';
+  }
+  // Ids are matched as strings by GET/DELETE /knowledge/:doc_id
+  if (typeof doc.id !== 'string' || doc.id.trim() === '') {
+    return 'needs an id that is a non-empty string';
+  }
+  if (doc.metadata !== undefined &&
+      (typeof doc.metadata !== 'object' || doc.metadata === null || Array.isArray(doc.metadata))) {
+    return 'has metadata that is not an object';
+  }
+  if (doc.tags !== undefined && !(Array.isArray(doc.tags) && doc.tags.every(tag => typeof tag === 'string'))) {
+    return 'has tags that are not an array of strings';
+  }
+
+  const isDate = value => value === undefined || value === null || !isNaN(Date.parse(value));
+  const windows = [[null, doc]];
+
+  if (doc.sections !== undefined) {
+    if (typeof doc.sections !== 'object' || doc.sections === null || Array.isArray(doc.sections)) {
+      return 'has sections that are not an object keyed by section title';
+    }
+    windows.push(...Object.entries(doc.sections).map(([title, dates]) => [title, dates || {}]));
+  }
+
+  for (const [section, dates] of windows) {
+    const where = section === null ? '' : ` in section "${section}"`;
+    if (!isDate(dates.effective_from) || !isDate(dates.effective_until)) {
+      return `has an invalid effective_from/effective_until date${where}`;
+    }
+    if (dates.effective_from && dates.effective_until &&
+        Date.parse(dates.effective_from) > Date.parse(dates.effective_until)) {
+      return `has effective_from after effective_until${where}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Document id from a file name ("Parking Handbook.md" -> "parking-handbook")
+ */
+function idFromFilename(filename) {
+  return path.basename(filename || 'document', path.extname(filename || ''))
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'document';
+}
+
+/**
+ * Format from an explicit value or the file extension (null when unknown)
+ */
+function detectFormat(filename, format) {
+  if (format) {
+    const normalized = format.toLowerCase() === 'md' ? 'markdown' : format.toLowerCase();
+    if (!FORMATS.includes(normalized)) {
+      throw new Error(`Unknown format: ${format} (expected one of: ${FORMATS.join(', ')})`);
+    }
+    return normalized;
+  }
+
+  return EXTENSION_FORMATS[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Merge upload/CLI defaults (extra tags, metadata) into a parsed document
+ */
+function applyDefaults(doc, defaults = {}) {
+  const tags = [...new Set([...(doc.tags || []), ...(defaults.tags || [])])];
+  const metadata = { ...(defaults.metadata || {}), ...(doc.metadata || {}) };
+
+  return {
+    ...doc,
+    ...(tags.length > 0 && { tags }),
+    ...(Object.keys(metadata).length > 0 && { metadata })
+  };
+}
+
+/**
+ * Split a leading "---" YAML front-matter block from Markdown
+ * @returns {Object} { attributes, body }
+ */
+function parseFrontMatter(text) {
+  const match = text.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { attributes: {}, body: text };
+  }
+
+  const attributes = yaml.load(match[1]) || {};
+  if (typeof attributes !== 'object' || Array.isArray(attributes)) {
+    throw new Error('front-matter must be a YAML mapping');
+  }
+
+  return { attributes, body: text.slice(match[0].length) };
+}
+
+/**
+ * Document fields from front-matter attributes (unknown keys become metadata)
+ */
+function documentFields(attributes) {
+  const fields = {};
+  const metadata = { ...(attributes.metadata || {}) };
+
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key === 'metadata') continue;
+    if (DOCUMENT_FIELDS.includes(key)) {
+      fields[key] = value instanceof Date ? value.toISOString() : value;
+    } else {
+      metadata[key] = value instanceof Date ? value.toISOString() : value;
+    }
+  }
+
+  if (typeof fields.tags === 'string') {
+    fields.tags = fields.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  if (fields.id !== undefined) {
+    fields.id = String(fields.id);
+  }
+  if (Object.keys(metadata).length > 0) {
+    fields.metadata = metadata;
+  }
+
+  return fields;
+}
+
+/**
+ * Markdown: front-matter for id/tags/metadata/dates, headings as sections
+ * @param {string} text - Markdown source
+ * @param {Object} options - { filename }
+ * @returns {Object} Document
+ */
+function parseMarkdown(text, { filename } = {}) {
+  const { attributes, body } = parseFrontMatter(text);
+  const fields = documentFields(attributes);
+
+  let inFence = false;
+  const lines = body.split(/\r?\n/).map(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      return line;
+    }
+    const heading = !inFence && line.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/);
+    return heading ? `\n=== ${heading[1].replace(/=+/g, '').trim()} ===` : line;
+  });
+
+  return {
+    id: fields.id || idFromFilename(filename),
+    ...fields,
+    text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()
+  };
+}
+
+/**
+ * Decode the HTML entities that matter for plain text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * HTML: visible text only, <h1>-<h6> as sections, <title> as metadata.title
+ * @param {string} html - HTML source
+ * @param {Object} options - { filename }
+ * @returns {Object} Document
+ */
+function parseHtml(html, { filename } = {}) {
+  const title = (html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || [])[1];
+  const stripTags = fragment => decodeEntities(fragment.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi, (match, heading) =>
+      `\n\n=== ${heading.replace(/<[^>]+>/g, ' ').replace(/=+/g, '').replace(/\s+/g, ' ').trim()} ===\n`)
+    .replace(/<(br|hr)\b[^>]*>/gi, '\n')
+    .replace(/<\/?(p|div|section|article|li|ul|ol|tr|table|blockquote|pre|header|footer|main|nav)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  const body = decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    id: idFromFilename(filename),
+    text: body,
+    ...(title && stripTags(title) && { metadata: { title: stripTags(title) } })
+  };
+}
+
+/**
+ * Plain text: the whole file is one document ("=== TITLE ===" markers are kept)
+ */
+function parseText(text, { filename } = {}) {
+  return { id: idFromFilename(filename), text: text.trim() };
+}
+
+/**
+ * Read a stream fully into a string (single-document formats)
+ * Decoded across chunk boundaries, so a multi-byte character split between chunks stays intact.
+ */
+async function readAll(stream) {
+  const decoder = new StringDecoder('utf8');
+  const parts = [];
+  for await (const part of stream) {
+    parts.push(typeof part === 'string' ? part : decoder.write(part));
+  }
+  parts.push(decoder.end());
+  return parts.join('');
+}
+
+/**
+ * JSONL: one document per line, read line by line so large files are never buffered
+ * Lines without an id get "<file id>-<line>".
+ */
+async function* parseJsonl(stream, { filename, onError }) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (line.trim().length === 0) continue;
+
+    let doc;
+    try {
+      doc = JSON.parse(line);
+    } catch (error) {
+      onError({ filename, line: lineNumber, error: `invalid JSON: ${error.message}` });
+      continue;
+    }
+
+    if (doc && typeof doc === 'object' && !Array.isArray(doc) && !doc.id) {
+      doc.id = `${idFromFilename(filename)}-${lineNumber}`;
+    }
+    yield { doc, line: lineNumber };
+  }
+}
+
+/**
+ * Parse a file stream into documents
+ * Invalid lines/documents are reported through onError and skipped.
+ * @param {Readable} stream - File contents
+ * @param {Object} options - { filename, format, defaults: { tags, metadata }, onError }
+ * @yields {Object} Valid documents
+ */
+async function* parseDocuments(stream, options = {}) {
+  const { filename, defaults } = options;
+  const onError = options.onError || (() => {});
+  let format = detectFormat(filename, options.format);
+
+  // Unknown or .txt extension: peek at the first bytes, JSON lines start with "{"
+  let input = stream;
+  if (format === null || (format === 'text' && !options.format)) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    const head = first.done ? '' : first.value.toString('utf8');
+    format = /^\uFEFF?\s*\{/.test(head) ? 'jsonl' : 'text';
+    input = Readable.from((async function* () {
+      if (!first.done) yield first.value;
+      for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+        yield next.value;
+      }
+    })());
+  }
+
+  let entries;
+  if (format === 'jsonl') {
+    entries = parseJsonl(input, { filename, onError });
+  } else {
+    const text = await readAll(input);
+    const parse = { markdown: parseMarkdown, html: parseHtml, text: parseText }[format];
+    let doc;
+    try {
+      doc = parse(text, { filename });
+    } catch (error) {
+      onError({ filename, error: error.message });
+      return;
+    }
+    entries = [{ doc, line: null }];
+  }
+
+  for await (const { doc, line } of entries) {
+    const candidate = doc && typeof doc === 'object' && !Array.isArray(doc) ? applyDefaults(doc, defaults) : doc;
+    const error = validateDocument(candidate);
+    if (error) {
+      onError({ filename, ...(line !== null && { line }), id: candidate && candidate.id, error: `Document ${error}` });
+      continue;
+    }
+    yield candidate;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  validateDocument,
+  detectFormat,
+  idFromFilename,
+  parseFrontMatter,
+  parseMarkdown,
+  parseHtml,
+  parseText,
+  parseDocuments
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+/**
+ * Embedding providers
+ * Every provider exposes the same surface so QdrantDao never needs to know
+ * which backend produced a vector:
+ *   - name / model / dimensions
+ *   - embed(text) -> Promise<number[]>
+ */
+
+/**
+ * OpenAI embeddings (text-embedding-3-small by default)
+ */
+class OpenAIEmbeddingProvider {
+  constructor({ model = 'text-embedding-3-small', dimensions = 512, apiKey = process.env.OPENAI_API_KEY } = {}) {
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.apiKey = apiKey;
+    this.client = null; // Created lazily so an offline setup never needs a key
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async embed(text) {
+    const response = await this.getClient().embeddings.create({
+      model: this.model,
+      input: text,
+      dimensions: this.dimensions,
+    });
+
+    return response.data[0].embedding;
+  }
+}
+
+/**
+ * Local deterministic embeddings using hashed character n-grams and words
+ * No network access, same text always yields the same unit-length vector
+ */
+class LocalEmbeddingProvider {
+  constructor({ dimensions = 512, ngramSizes = [3, 4] } = {}) {
+    this.name = 'local';
+    this.model = `hashed-ngram-${ngramSizes.join('-')}`;
+    this.dimensions = dimensions;
+    this.ngramSizes = ngramSizes;
+  }
+
+  /**
+   * Extract weighted features (whole words + padded character n-grams)
+   */
+  features(text) {
+    const words = text.toLowerCase().match(/[a-z0-9$]+/g) || [];
+    const features = [];
+
+    for (const word of words) {
+      features.push({ feature: `w:${word}`, weight: 1.0 });
+
+      const padded = ` ${word} `;
+      for (const n of this.ngramSizes) {
+        for (let i = 0; i + n <= padded.length; i++) {
+          features.push({ feature: `c${n}:${padded.slice(i, i + n)}`, weight: 0.5 });
+        }
+      }
+    }
+
+    return features;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const { feature, weight } of this.features(text)) {
+      const hash = crypto.createHash('md5').update(feature).digest();
+      const index = hash.readUInt32LE(0) % this.dimensions;
+      const sign = (hash[4] & 1) === 0 ? 1 : -1; // Signed hashing reduces collision bias
+      vector[index] += sign * weight;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    if (norm === 0) {
+      // Empty/blank text - return a fixed non-zero vector so cosine stays defined
+      vector[0] = 1;
+      return vector;
+    }
+
+    return vector.map(v => v / norm);
+  }
+}
+
+/**
+ * Create an embedding provider from config (defaults to environment)
+ * @param {Object} config - { provider, model, dimensions }
+ * @returns {OpenAIEmbeddingProvider|LocalEmbeddingProvider}
+ */
+function createEmbeddingProvider(config = {}) {
+  const provider = (config.provider || process.env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+  const dimensions = parseInt(config.dimensions || process.env.EMBEDDING_DIMENSIONS || '512', 10);
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider({
+        model: config.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+        dimensions
+      });
+    case 'local':
+      return new LocalEmbeddingProvider({ dimensions });
+    default:
+      throw new Error(`Unknown embedding provider: ${provider} (expected "openai" or "local")`);
+  }
+}
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  LocalEmbeddingProvider,
+  createEmbeddingProvider
+};
@@ -0,0 +1,419 @@
+const fs = require('fs');
+const { normalizeQuery } = require('./cache_keys');
+const { normalizeFilters } = require('./filters');
+const { createReranker, normalizeRankingOptions } = require('./rerankers');
+
+/**
+ * Retrieval evaluation
+ * Runs a golden set of questions through hybrid search and answer composition and
+ * measures, per configuration: recall@k and MRR of the expected sources, the share of
+ * answers that contain the expected snippets, and search/answer latency percentiles.
+ *
+ * Golden set (JSONL, one question per line):
+ *   { "id": "parking-free-hours", "question": "How long is parking free?",
+ *     "expected": [{ "doc_id": "clinic_policies", "section": "PARKING INFORMATION" }],
+ *     "answer_contains": ["3 hours"], "filters": { "tags": ["parking"] } }
+ * "section" is optional (any chunk of the document counts); a question with
+ * "expect_abstain": true should get no answer ("I don't know ...").
+ *
+ * Configurations are overrides of the running settings (see SETTINGS); caches are
+ * bypassed so every question is retrieved and answered under the configuration itself.
+ */
+
+const SETTINGS = {
+  reranker: 'Re-ranker between RRF fusion and MMR (lexical | none)',
+  rerank_depth: 'Fused candidates passed to the re-ranker',
+  mmr_lambda: 'MMR relevance/diversity trade-off',
+  rrf_k: 'RRF constant (higher flattens rank differences)',
+  score_threshold: 'Minimum cosine similarity for vector hits',
+  semantic_weight: 'Sentence ranking: embedding cosine weight',
+  lexical_weight: 'Sentence ranking: BM25 weight',
+  confidence_threshold: 'Answer confidence below which the assistant abstains',
+  answer_mode: 'extractive | generative',
+  query_rewrite: 'Rewrite questions before retrieval'
+};
+
+const QUESTION_FIELDS = ['id', 'question', 'expected', 'answer_contains', 'expect_abstain', 'filters'];
+
+/**
+ * Load and validate a golden set
+ * @param {string} file - JSONL file
+ * @returns {Array<Object>} [{ id, question, expected, answer_contains, expect_abstain, filters }]
+ * @throws {Error} With the line number of the first invalid question (unknown fields and
+ *   questions with nothing to check are invalid)
+ */
+function loadGoldenSet(file) {
+  const questions = [];
+  const ids = new Set();
+
+  fs.readFileSync(file, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const fail = message => { throw new Error(`${file}:${index + 1}: ${message}`); };
+    let raw;
+    try {
+      raw = JSON.parse(line);
+    } catch (error) {
+      fail(`invalid JSON (${error.message})`);
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      fail('must be a JSON object');
+    }
+    // A misspelled field would otherwise leave the question with nothing to check
+    const unknown = Object.keys(raw).filter(key => !QUESTION_FIELDS.includes(key));
+    if (unknown.length > 0) {
+      fail(`unknown field(s): ${unknown.join(', ')} (expected ${QUESTION_FIELDS.join(', ')})`);
+    }
+
+    if (typeof raw.question !== 'string' || !raw.question.trim()) {
+      fail('"question" must be a non-empty string');
+    }
+
+    const id = raw.id === undefined ? `q${index + 1}` : String(raw.id);
+    if (ids.has(id)) {
+      fail(`duplicate id "${id}"`);
+    }
+    ids.add(id);
+
+    const expected = raw.expected || [];
+    if (!Array.isArray(expected) || !expected.every(e => e && typeof e.doc_id === 'string' &&
+        (e.section === undefined || typeof e.section === 'string'))) {
+      fail('"expected" must be an array of { doc_id, section? }');
+    }
+
+    const answerContains = raw.answer_contains === undefined ? [] : [].concat(raw.answer_contains);
+    if (!answerContains.every(snippet => typeof snippet === 'string' && snippet.trim())) {
+      fail('"answer_contains" must be a string or an array of strings');
+    }
+
+    const expectAbstain = raw.expect_abstain === true;
+    if (expectAbstain && (expected.length > 0 || answerContains.length > 0)) {
+      fail('"expect_abstain" questions cannot have expected sources or answer snippets');
+    }
+    if (!expectAbstain && expected.length === 0 && answerContains.length === 0) {
+      fail('needs "expected", "answer_contains" or "expect_abstain": true');
+    }
+
+    let filters = null;
+    try {
+      filters = normalizeFilters(raw.filters);
+    } catch (error) {
+      fail(error.message);
+    }
+
+    questions.push({ id, question: raw.question, expected, answer_contains: answerContains, expect_abstain: expectAbstain, filters });
+  });
+
+  if (questions.length === 0) {
+    throw new Error(`${file}: no questions`);
+  }
+
+  return questions;
+}
+
+/**
+ * Validate a configuration: { name?, <setting>: value } (settings listed in SETTINGS)
+ * @returns {Object} The configuration
+ * @throws {Error} On unknown settings or out-of-range values
+ */
+function validateConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('A configuration must be a JSON object');
+  }
+
+  const unknown = Object.keys(config).filter(key => key !== 'name' && !SETTINGS[key]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown setting(s): ${unknown.join(', ')} (expected ${Object.keys(SETTINGS).join(', ')})`);
+  }
+
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const checks = {
+    reranker: value => createReranker({ reranker: value }) && true,
+    rerank_depth: value => normalizeRankingOptions({ rerank_depth: value }) && true,
+    mmr_lambda: value => normalizeRankingOptions({ mmr_lambda: value }) && true,
+    rrf_k: value => Number.isInteger(value) && value >= 0,
+    score_threshold: value => isNumber(value) && value >= -1 && value <= 1,
+    semantic_weight: value => isNumber(value) && value >= 0,
+    lexical_weight: value => isNumber(value) && value >= 0,
+    confidence_threshold: value => isNumber(value) && value >= 0 && value <= 1,
+    answer_mode: value => value === 'extractive' || value === 'generative',
+    query_rewrite: value => typeof value === 'boolean'
+  };
+
+  for (const [key, value] of Object.entries(config)) {
+    if (key !== 'name' && !checks[key](value)) {
+      throw new Error(`Invalid value for ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Nearest-rank percentile of a list of numbers (null for an empty list)
+ */
+function percentile(values, p) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function mean(values) {
+  const present = values.filter(value => value !== null);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+const round = (value, places = 3) => value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Evaluates configurations of one tenant's retrieval pipeline
+ */
+class RetrievalEvaluator {
+  constructor(qdrantDao, knowledgeAPI, queryRewriter) {
+    this.qdrantDao = qdrantDao;
+    this.knowledgeAPI = knowledgeAPI;
+    this.queryRewriter = queryRewriter;
+  }
+
+  /**
+   * Settings in effect, in configuration terms
+   */
+  currentSettings() {
+    return {
+      reranker: this.qdrantDao.reranker.name,
+      rerank_depth: this.qdrantDao.rerankDepth,
+      mmr_lambda: this.qdrantDao.mmrLambda,
+      rrf_k: this.qdrantDao.rrfK,
+      score_threshold: this.qdrantDao.vectorScoreThreshold,
+      semantic_weight: this.knowledgeAPI.sentenceWeights.semantic,
+      lexical_weight: this.knowledgeAPI.sentenceWeights.lexical,
+      confidence_threshold: this.knowledgeAPI.confidenceConfig.threshold,
+      answer_mode: this.knowledgeAPI.defaultMode,
+      query_rewrite: this.queryRewriter.enabled
+    };
+  }
+
+  /**
+   * Apply a configuration to the live services
+   * @returns {Function} Restores the previous settings
+   */
+  applyConfig(config) {
+    const { qdrantDao, knowledgeAPI, queryRewriter } = this;
+    const saved = {
+      reranker: qdrantDao.reranker,
+      rerankDepth: qdrantDao.rerankDepth,
+      mmrLambda: qdrantDao.mmrLambda,
+      rrfK: qdrantDao.rrfK,
+      vectorScoreThreshold: qdrantDao.vectorScoreThreshold,
+      sentenceWeights: knowledgeAPI.sentenceWeights,
+      confidenceConfig: knowledgeAPI.confidenceConfig,
+      defaultMode: knowledgeAPI.defaultMode,
+      rewriteEnabled: queryRewriter.enabled
+    };
+
+    if (config.reranker !== undefined) qdrantDao.reranker = createReranker({ reranker: config.reranker });
+    if (config.rerank_depth !== undefined) qdrantDao.rerankDepth = config.rerank_depth;
+    if (config.mmr_lambda !== undefined) qdrantDao.mmrLambda = config.mmr_lambda;
+    if (config.rrf_k !== undefined) qdrantDao.rrfK = config.rrf_k;
+    if (config.score_threshold !== undefined) qdrantDao.vectorScoreThreshold = config.score_threshold;
+    knowledgeAPI.sentenceWeights = {
+      semantic: config.semantic_weight ?? saved.sentenceWeights.semantic,
+      lexical: config.lexical_weight ?? saved.sentenceWeights.lexical
+    };
+    knowledgeAPI.confidenceConfig = { ...saved.confidenceConfig, threshold: config.confidence_threshold ?? saved.confidenceConfig.threshold };
+    if (config.answer_mode !== undefined) knowledgeAPI.defaultMode = config.answer_mode;
+    if (config.query_rewrite !== undefined) queryRewriter.enabled = config.query_rewrite;
+
+    return () => {
+      qdrantDao.reranker = saved.reranker;
+      qdrantDao.rerankDepth = saved.rerankDepth;
+      qdrantDao.mmrLambda = saved.mmrLambda;
+      qdrantDao.rrfK = saved.rrfK;
+      qdrantDao.vectorScoreThreshold = saved.vectorScoreThreshold;
+      knowledgeAPI.sentenceWeights = saved.sentenceWeights;
+      knowledgeAPI.confidenceConfig = saved.confidenceConfig;
+      knowledgeAPI.defaultMode = saved.defaultMode;
+      queryRewriter.enabled = saved.rewriteEnabled;
+    };
+  }
+
+  /**
+   * Run the golden set under one configuration
+   * @param {Array<Object>} questions - From loadGoldenSet()
+   * @param {Object} config - { name, ...settings }
+   * @param {Object} options - { k } results per search (recall@k)
+   * @returns {Object} { name, settings (rerank_depth as searched: at least k), metrics, questions }
+   */
+  async run(questions, config = {}, { k = 3 } = {}) {
+    const restore = this.applyConfig(config);
+    try {
+      const settings = this.currentSettings();
+      // Searches re-rank at least k candidates, so report the depth recall@k was measured with
+      settings.rerank_depth = this.qdrantDao.rankingOptions(k).rerankDepth;
+      console.log(`[EVALUATION] Running ${questions.length} questions with ${config.name || 'current settings'}`);
+
+      const results = [];
+      for (const item of questions) {
+        results.push(await this.evaluateQuestion(item, k));
+      }
+
+      return { name: config.name || 'current', settings, metrics: this.summarize(results, k), questions: results };
+    } finally {
+      restore();
+    }
+  }
+
+  /**
+   * Search and answer one question, without caches
+   */
+  async evaluateQuestion(item, k) {
+    const { query } = this.queryRewriter.rewrite(item.question);
+
+    const searchStart = process.hrtime.bigint();
+    const docs = await this.qdrantDao.searchDocuments(query, k, { filters: item.filters, cache: false });
+    const searchLatency = Number(process.hrtime.bigint() - searchStart) / 1000000;
+
+    const answerStart = process.hrtime.bigint();
+    const answer = await this.knowledgeAPI.getKnowledgeAnswer(item.question, { filters: item.filters, query, cache: false });
+    const answerLatency = Number(process.hrtime.bigint() - answerStart) / 1000000;
+
+    const sources = docs.map(doc => ({ doc_id: doc.payload.doc_id, section: doc.payload.section || null }));
+    const matches = (source, expected) => source.doc_id === expected.doc_id &&
+      (!expected.section || (source.section || '').toLowerCase() === expected.section.toLowerCase());
+
+    const firstRelevant = sources.findIndex(source => item.expected.some(expected => matches(source, expected)));
+    const found = item.expected.filter(expected => sources.some(source => matches(source, expected))).length;
+    const judged = item.expected.length > 0;
+
+    return {
+      id: item.id,
+      question: item.question,
+      query,
+      sources,
+      rank: firstRelevant >= 0 ? firstRelevant + 1 : null,
+      recall: judged ? found / item.expected.length : null,
+      reciprocal_rank: judged ? (firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0) : null,
+      answered: answer.answered,
+      answer_match: this.answerMatches(item, answer),
+      reply: answer.reply,
+      confidence: answer.confidence,
+      latency: { search_ms: round(searchLatency, 1), answer_ms: round(answerLatency, 1) }
+    };
+  }
+
+  /**
+   * Whether an answer is what the golden set expects (null when it expects nothing in particular):
+   * every snippet in the reply (case and punctuation ignored), or an abstention for expect_abstain
+   */
+  answerMatches(item, answer) {
+    if (item.expect_abstain) {
+      return !answer.answered;
+    }
+    if (item.answer_contains.length === 0) {
+      return null;
+    }
+
+    const reply = ` ${normalizeQuery(answer.reply)} `;
+    return answer.answered && item.answer_contains.every(snippet => reply.includes(` ${normalizeQuery(snippet)} `));
+  }
+
+  /**
+   * Aggregate metrics over question results
+   */
+  summarize(results, k) {
+    const latency = values => ({ p50: percentile(values, 50), p95: percentile(values, 95), p99: percentile(values, 99) });
+    const answerMatches = results.map(result => result.answer_match).filter(match => match !== null);
+
+    return {
+      questions: results.length,
+      k,
+      recall_at_k: round(mean(results.map(result => result.recall))),
+      mrr: round(mean(results.map(result => result.reciprocal_rank))),
+      answer_match_rate: answerMatches.length > 0 ? round(answerMatches.filter(Boolean).length / answerMatches.length) : null,
+      answered_rate: round(results.filter(result => result.answered).length / results.length),
+      latency_ms: {
+        search: latency(results.map(result => result.latency.search_ms)),
+        answer: latency(results.map(result => result.latency.answer_ms))
+      }
+    };
+  }
+}
+
+/**
+ * Markdown report for one or two runs (the second is compared against the first)
+ * @param {Object} params - { golden, knowledgeBase: { tenant, collection, documents, chunks, embedding }, runs }
+ * @returns {string} Markdown
+ */
+function renderReport({ golden, knowledgeBase, runs }) {
+  const [baseline, candidate] = runs;
+  const cell = value => value === null || value === undefined ? '–' : String(value).replace(/\|/g, '\\|');
+  const delta = (a, b, places = 3) => {
+    if (a === null || b === null) return '–';
+    const diff = round(b - a, places);
+    return diff > 0 ? `+${diff}` : String(diff);
+  };
+  const row = values => `| ${values.map(cell).join(' | ')} |`;
+  const header = columns => [row(columns), row(columns.map(() => '---'))];
+
+  const lines = [
+    '# Retrieval evaluation',
+    '',
+    `- Golden set: \`${golden}\` (${baseline.metrics.questions} questions)`,
+    `- Knowledge base: tenant \`${knowledgeBase.tenant}\`, collection \`${knowledgeBase.collection}\`, ` +
+      `${knowledgeBase.documents} documents, ${knowledgeBase.chunks} chunks`,
+    `- Embeddings: ${knowledgeBase.embedding}`,
+    `- Generated: ${new Date().toISOString()}`,
+    '',
+    '## Configuration',
+    '',
+    ...header(['Setting', ...runs.map(run => run.name)]),
+    ...Object.keys(SETTINGS).map(setting => row([`\`${setting}\``, ...runs.map(run => run.settings[setting])])),
+    '',
+    '## Results',
+    ''
+  ];
+
+  const metrics = [
+    [`Recall@${baseline.metrics.k}`, run => run.metrics.recall_at_k, 3],
+    ['MRR', run => run.metrics.mrr, 3],
+    ['Answer match rate', run => run.metrics.answer_match_rate, 3],
+    ['Answered', run => run.metrics.answered_rate, 3],
+    ...['search', 'answer'].flatMap(stage => ['p50', 'p95', 'p99'].map(p =>
+      [`${stage[0].toUpperCase()}${stage.slice(1)} latency ${p} (ms)`, run => run.metrics.latency_ms[stage][p], 1]))
+  ];
+
+  lines.push(...header(['Metric', ...runs.map(run => run.name), ...(candidate ? ['Δ'] : [])]));
+  metrics.forEach(([label, value, places]) => {
+    lines.push(row([label, ...runs.map(value), ...(candidate ? [delta(value(baseline), value(candidate), places)] : [])]));
+  });
+
+  // Rank of the first expected source and answer match per question (✓/✗, – when not judged)
+  const mark = match => match === null ? '–' : (match ? '✓' : '✗');
+  const outcome = (run, i) => [run.questions[i].rank ?? (run.questions[i].recall === null ? '–' : 'miss'), mark(run.questions[i].answer_match)];
+
+  lines.push('', '## Questions', '');
+  if (candidate) {
+    const changed = baseline.questions.filter((result, i) =>
+      result.rank !== candidate.questions[i].rank || result.answer_match !== candidate.questions[i].answer_match).length;
+    lines.push(`${changed} of ${baseline.questions.length} questions changed rank or answer match.`, '');
+  }
+  lines.push(...header(['Id', 'Question', ...runs.flatMap(run => [`Rank (${run.name})`, `Answer (${run.name})`])]));
+  baseline.questions.forEach((result, i) => {
+    lines.push(row([result.id, result.question, ...runs.flatMap(run => outcome(run, i))]));
+  });
+
+  lines.push('', 'Latencies are measured on the machine that produced this report, with caches bypassed.', '');
+  return lines.join('\n');
+}
+
+module.exports = {
+  SETTINGS,
+  loadGoldenSet,
+  validateConfig,
+  percentile,
+  RetrievalEvaluator,
+  renderReport
+};
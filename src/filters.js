@@ -0,0 +1,154 @@
+/**
+ * Retrieval filters shared by the vector (Qdrant) and lexical (BM25) search paths
+ *
+ * Accepted shape:
+ *   {
+ *     tags: ['parking'],                 // chunk has ANY of these tags
+ *     doc_id: 'policy-a' | ['a', 'b'],   // chunk belongs to one of these documents
+ *     metadata: { location: 'Brooklyn' } // metadata.<key> equals (any of) the value(s)
+ *   }
+ */
+
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+/**
+ * Validate and canonicalize filters
+ * @param {Object} filters - Raw filters from a request
+ * @returns {Object|null} { tags, doc_ids, metadata } or null when nothing is filtered
+ * @throws {Error} When the filter shape is invalid
+ */
+function normalizeFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return null;
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    throw new Error('filters must be an object');
+  }
+
+  const normalized = { tags: [], doc_ids: [], metadata: {} };
+
+  if (filters.tags !== undefined) {
+    normalized.tags = toList(filters.tags);
+    if (!normalized.tags.every(tag => typeof tag === 'string')) {
+      throw new Error('filters.tags must be a string or an array of strings');
+    }
+  }
+
+  if (filters.doc_id !== undefined) {
+    normalized.doc_ids = toList(filters.doc_id);
+    if (!normalized.doc_ids.every(id => typeof id === 'string')) {
+      throw new Error('filters.doc_id must be a string or an array of strings');
+    }
+  }
+
+  if (filters.metadata !== undefined) {
+    if (typeof filters.metadata !== 'object' || filters.metadata === null || Array.isArray(filters.metadata)) {
+      throw new Error('filters.metadata must be an object');
+    }
+    for (const [key, value] of Object.entries(filters.metadata)) {
+      if (!METADATA_KEY_PATTERN.test(key)) {
+        throw new Error(`filters.metadata key "${key}" may only contain letters, digits, "_" and "-"`);
+      }
+      const values = toList(value);
+      if (values.length === 0 || !values.every(isScalar)) {
+        throw new Error(`filters.metadata.${key} must be a scalar or an array of scalars`);
+      }
+      normalized.metadata[key] = values;
+    }
+  }
+
+  const empty = normalized.tags.length === 0 &&
+    normalized.doc_ids.length === 0 &&
+    Object.keys(normalized.metadata).length === 0;
+
+  return empty ? null : normalized;
+}
+
+/**
+ * Build a Qdrant payload filter
+ * @param {Object|null} filters - Normalized filters
+ * @returns {Object|undefined} Qdrant filter
+ */
+function toQdrantFilter(filters) {
+  if (!filters) {
+    return undefined;
+  }
+
+  const must = [];
+
+  if (filters.tags.length > 0) {
+    must.push({ key: 'tags', match: { any: filters.tags } });
+  }
+  if (filters.doc_ids.length > 0) {
+    must.push({ key: 'doc_id', match: { any: filters.doc_ids } });
+  }
+  for (const [key, values] of Object.entries(filters.metadata)) {
+    must.push(values.length === 1
+      ? { key: `metadata.${key}`, match: { value: values[0] } }
+      : { key: `metadata.${key}`, match: { any: values } });
+  }
+
+  return { must };
+}
+
+/**
+ * Check a chunk payload against filters (BM25 side, mirrors toQdrantFilter)
+ * @param {Object} payload - Chunk payload ({ tags, doc_id, metadata })
+ * @param {Object|null} filters - Normalized filters
+ * @returns {boolean}
+ */
+function matchesFilters(payload, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  if (filters.tags.length > 0 && !(payload.tags || []).some(tag => filters.tags.includes(tag))) {
+    return false;
+  }
+  if (filters.doc_ids.length > 0 && !filters.doc_ids.includes(payload.doc_id)) {
+    return false;
+  }
+
+  const metadata = payload.metadata || {};
+  for (const [key, values] of Object.entries(filters.metadata)) {
+    // Array-valued metadata matches when any element matches (same as Qdrant)
+    if (!toList(metadata[key]).some(value => values.includes(value))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Stable string form of filters for cache keys ('' when unfiltered)
+ */
+function filtersCacheKey(filters) {
+  if (!filters) {
+    return '';
+  }
+
+  const metadata = Object.keys(filters.metadata).sort()
+    .map(key => [key, [...filters.metadata[key]].map(String).sort()]);
+
+  return JSON.stringify([
+    [...filters.tags].sort(),
+    [...filters.doc_ids].sort(),
+    metadata
+  ]);
+}
+
+module.exports = {
+  normalizeFilters,
+  toQdrantFilter,
+  matchesFilters,
+  filtersCacheKey
+};
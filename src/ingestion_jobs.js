@@ -0,0 +1,334 @@
+const { v4: uuidv4 } = require('uuid');
+const { validateDocument } = require('./document_parsers');
+
+// Job statuses: queued -> running -> completed | failed | cancelled
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Background ingestion jobs
+ * Documents are stored with the job (Redis list job:<id>:docs) and processed one
+ * page at a time. The job record (job:<id>, indexed in jobs:all) carries a cursor,
+ * so a failed or cancelled job resumes from the first unprocessed document.
+ * Jobs run one at a time in submission order.
+ */
+class IngestionJobManager {
+  constructor(qdrantDao, options = {}) {
+    this.qdrantDao = qdrantDao;
+    this.redis = qdrantDao.redis;
+    this.pageSize = options.pageSize || parseInt(process.env.INGESTION_JOB_PAGE_SIZE || '20', 10);
+    this.docsTTL = 7 * 24 * 3600; // Stored documents are kept for a week after a job finishes
+    this.queue = [];
+    this.running = null;
+    this.cancelRequested = new Set();
+    console.log('[INGESTION_JOBS] Initialized');
+  }
+
+  /**
+   * Create a job and queue it
+   * @param {AsyncIterable<Object>|Array<Object>} documents - Validated documents
+   * @param {Object} options - { source, errors } (errors: parse errors found before the job started)
+   * @returns {Object} Job record
+   */
+  async createJob(documents, options = {}) {
+    const id = `job-${uuidv4()}`;
+    const now = new Date().toISOString();
+
+    // Store documents in batches so large uploads are never held in memory at once
+    let total = 0;
+    let batch = [];
+    for await (const doc of documents) {
+      batch.push(JSON.stringify(doc));
+      total++;
+      if (batch.length >= 100) {
+        await this.redis.rpush(`job:${id}:docs`, ...batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) {
+      await this.redis.rpush(`job:${id}:docs`, ...batch);
+    }
+
+    const job = {
+      id,
+      status: 'queued',
+      source: options.source || 'json',
+      total,
+      processed: 0,
+      added: 0,
+      updated: 0,
+      unchanged: 0,
+      chunk_count: 0,
+      errors: options.errors || [],
+      error: null,
+      attempts: 0,
+      created_at: now,
+      started_at: null,
+      finished_at: null,
+      updated_at: now
+    };
+
+    await this.saveJob(job);
+    await this.redis.sadd('jobs:all', id);
+    this.enqueue(id);
+
+    console.log(`[INGESTION_JOBS] Created ${id} with ${total} documents`);
+    return job;
+  }
+
+  async saveJob(job) {
+    job.updated_at = new Date().toISOString();
+    await this.redis.set(`job:${job.id}`, JSON.stringify(job));
+  }
+
+  /**
+   * Get a job record
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job record
+   */
+  async getJob(id) {
+    try {
+      const data = await this.redis.get(`job:${id}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('[INGESTION_JOBS] Error getting job:', error);
+      return null;
+    }
+  }
+
+  /**
+   * All jobs, newest first
+   */
+  async listJobs() {
+    const ids = await this.redis.smembers('jobs:all');
+    const jobs = await Promise.all(ids.map(id => this.getJob(id)));
+    return jobs
+      .filter(job => job !== null)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  /**
+   * Cancel a queued or running job (a running job stops after the current page)
+   * @returns {Object} { ok, job?, error? }
+   */
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      return { ok: false, error: 'Job not found' };
+    }
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return { ok: false, error: `Job is already ${job.status}`, job };
+    }
+
+    if (this.running === id) {
+      this.cancelRequested.add(id);
+      return { ok: true, job: { ...job, cancel_requested: true } };
+    }
+
+    this.queue = this.queue.filter(queued => queued !== id);
+    job.status = 'cancelled';
+    job.finished_at = new Date().toISOString();
+    await this.finishJob(job);
+    console.log(`[INGESTION_JOBS] Cancelled ${id}`);
+    return { ok: true, job };
+  }
+
+  /**
+   * Re-queue a failed or cancelled job; it resumes at the first unprocessed document
+   * @returns {Object} { ok, job?, error? }
+   */
+  async retryJob(id) {
+    const job = await this.getJob(id);
+    if (!job) {
+      return { ok: false, error: 'Job not found' };
+    }
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return { ok: false, error: `Only failed or cancelled jobs can be retried (job is ${job.status})`, job };
+    }
+    if (job.processed < job.total && !(await this.redis.exists(`job:${id}:docs`))) {
+      return { ok: false, error: 'Job documents have expired; submit the documents again', job };
+    }
+
+    job.status = 'queued';
+    job.error = null;
+    job.finished_at = null;
+    await this.saveJob(job);
+    await this.redis.persist(`job:${id}:docs`);
+    this.enqueue(id);
+
+    console.log(`[INGESTION_JOBS] Retrying ${id} from document ${job.processed}/${job.total}`);
+    return { ok: true, job };
+  }
+
+  /**
+   * Jobs interrupted by a restart: running ones are marked failed (retry resumes them),
+   * queued ones are queued again
+   */
+  async recoverJobs() {
+    const jobs = (await this.listJobs()).reverse(); // Oldest first
+    for (const job of jobs) {
+      if (job.status === 'running') {
+        job.status = 'failed';
+        job.error = 'Interrupted by server restart';
+        job.finished_at = new Date().toISOString();
+        await this.saveJob(job);
+      } else if (job.status === 'queued') {
+        this.enqueue(job.id);
+      }
+    }
+  }
+
+  enqueue(id) {
+    if (!this.queue.includes(id)) {
+      this.queue.push(id);
+    }
+    setImmediate(() => this.drain());
+  }
+
+  async drain() {
+    if (this.running) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      const id = this.queue.shift();
+      this.running = id;
+      try {
+        await this.runJob(id);
+      } catch (error) {
+        console.error(`[INGESTION_JOBS] Job ${id} crashed:`, error);
+      } finally {
+        this.running = null;
+        this.cancelRequested.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Process a job from its cursor, one page of documents (one upsert) at a time
+   * Invalid documents and ones the embedding provider or vector store rejects are
+   * recorded and skipped; anything else fails the job with the cursor left at the
+   * start of the page that could not be processed (documents of that page already
+   * written are unchanged on retry).
+   */
+  async runJob(id) {
+    const job = await this.getJob(id);
+    if (!job || job.status !== 'queued') {
+      return;
+    }
+
+    job.status = 'running';
+    job.attempts++;
+    job.started_at = job.started_at || new Date().toISOString();
+    await this.saveJob(job);
+
+    const startTime = process.hrtime.bigint();
+    console.log(`[INGESTION_JOBS] Running ${id} (${job.processed}/${job.total} done)`);
+
+    try {
+      while (job.processed < job.total) {
+        if (this.cancelRequested.has(id)) {
+          job.status = 'cancelled';
+          break;
+        }
+
+        const page = await this.redis.lrange(`job:${id}:docs`, job.processed, job.processed + this.pageSize - 1);
+        if (page.length === 0) {
+          throw new Error('Job documents are missing or expired');
+        }
+
+        // Entries: { index: position in the job, doc }
+        const entries = [];
+        page.forEach((raw, i) => {
+          const doc = JSON.parse(raw);
+          const invalid = validateDocument(doc);
+          if (invalid) {
+            job.errors.push({ index: job.processed + i, id: doc && doc.id, error: `Document ${invalid}` });
+          } else {
+            entries.push({ index: job.processed + i, doc });
+          }
+        });
+
+        try {
+          if (entries.length > 0) {
+            this.countResult(job, await this.qdrantDao.upsertDocuments(entries.map(entry => entry.doc), { rebuildLexical: false }));
+          }
+        } catch (error) {
+          if (!this.isDocumentError(error)) {
+            throw error;
+          }
+          // A document spoiled the page: keep what was recorded, then go through the rest one by one
+          await this.upsertEach(job, entries, error.partial);
+        }
+
+        job.processed += page.length;
+        await this.saveJob(job);
+      }
+
+      if (job.status !== 'cancelled') {
+        job.status = 'completed';
+      }
+    } catch (error) {
+      console.error(`[INGESTION_JOBS] Job ${id} failed at document ${job.processed}:`, error.message);
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      this.qdrantDao.rebuildTfIdf();
+    }
+
+    job.finished_at = new Date().toISOString();
+    await this.finishJob(job);
+
+    const latency = Number(process.hrtime.bigint() - startTime) / 1000000;
+    console.log(`[INGESTION_JOBS] ${id} ${job.status}: ${job.processed}/${job.total} documents, ` +
+      `${job.chunk_count} chunks, ${job.errors.length} errors in ${Math.round(latency)}ms`);
+  }
+
+  // Upsert a page's documents one at a time after the page failed, recording per-document failures
+  // partial: { summary, storedHashes } from the failed upsert, so documents it already recorded are
+  // counted once and ones whose chunks it wrote are still counted as added or updated
+  async upsertEach(job, entries, partial = {}) {
+    const recorded = new Set();
+    if (partial.summary) {
+      this.countResult(job, partial.summary);
+      [...partial.summary.added, ...partial.summary.updated, ...partial.summary.unchanged].forEach(id => recorded.add(id));
+    }
+
+    for (const { index, doc } of entries) {
+      if (recorded.has(doc.id)) {
+        continue;
+      }
+      try {
+        this.countResult(job, await this.qdrantDao.upsertDocuments([doc], { rebuildLexical: false, storedHashes: partial.storedHashes }));
+      } catch (error) {
+        if (!this.isDocumentError(error)) {
+          throw error;
+        }
+        job.errors.push({ index, id: doc.id, error: error.message });
+      }
+    }
+  }
+
+  countResult(job, result) {
+    job.added += result.added.length;
+    job.updated += result.updated.length;
+    job.unchanged += result.unchanged.length;
+    job.chunk_count += result.chunk_count;
+  }
+
+  async finishJob(job) {
+    await this.saveJob(job);
+    await this.redis.expire(`job:${job.id}:docs`, this.docsTTL);
+  }
+
+  /**
+   * Errors caused by the document itself: the embedding provider or vector store
+   * rejected its content with a 4xx (recorded and skipped). Outages and anything
+   * else fail the job so it can be retried; invalid documents never get this far.
+   */
+  isDocumentError(error) {
+    const status = error.status || (error.response && error.response.status);
+    return status === 400 || status === 413 || status === 422;
+  }
+}
+
+module.exports = IngestionJobManager;
@@ -1,12 +1,49 @@
+const { answerCacheKey } = require('./cache_keys');
+const ConflictResolver = require('./conflict_resolver');
+const { createAnswerGenerator } = require('./answer_generators');
+const Bm25Corpus = require('./bm25');
+const SemanticCache = require('./semantic_cache');
+
+const ANSWER_MODES = ['extractive', 'generative'];
+const ABSTAIN_REPLY = "I don't know — please call the front desk.";
+
 /**
  * Knowledge retrieval API with Redis caching
  * Handles RAG queries with warm cache for <200ms latency
  */
 class KnowledgeAPI {
-  constructor(qdrantDao) {
+  constructor(qdrantDao, options = {}) {
     this.qdrantDao = qdrantDao;
     this.redis = qdrantDao.redis;
     this.cacheTTL = 600; // 10 min TTL
+    this.semanticCache = options.semanticCache || new SemanticCache(qdrantDao); // Paraphrased questions
+    this.conflictResolver = new ConflictResolver();
+
+    // Sentence ranking blend: cosine similarity vs. corpus-aware BM25 (default 70/30)
+    this.sentenceWeights = {
+      semantic: parseFloat(process.env.SENTENCE_SEMANTIC_WEIGHT || '0.7'),
+      lexical: parseFloat(process.env.SENTENCE_LEXICAL_WEIGHT || '0.3')
+    };
+
+    // Extractive composer: best N sentences across the top-k chunks, up to a length budget
+    this.extractiveConfig = {
+      maxSentences: parseInt(process.env.ANSWER_MAX_SENTENCES || '3', 10),
+      maxChars: parseInt(process.env.ANSWER_MAX_CHARS || '400', 10),
+      minRelativeScore: 0.8, // Extra sentences must score within 80% of the best one
+      duplicateSimilarity: 0.6, // Jaccard similarity above which a sentence is a near-duplicate
+      chunkRankDecay: 0.1 // Score discount per retrieval rank of the source chunk
+    };
+
+    // Answer confidence: weighted blend of retrieval and sentence signals, each in [0, 1].
+    // Below the threshold the API abstains instead of answering.
+    this.confidenceConfig = {
+      threshold: parseFloat(process.env.ANSWER_CONFIDENCE_THRESHOLD || '0.35'),
+      weights: { vector: 0.4, lexical: 0.3, sentence: 0.3 }
+    };
+
+    // Answer modes: extractive (sentence selection) or generative (grounded synthesis)
+    this.defaultMode = process.env.ANSWER_MODE || 'extractive';
+    this.answerGenerator = options.answerGenerator || createAnswerGenerator(); // ANSWER_GENERATOR=openai|local
     
     console.log('[KNOWLEDGE_API] Initialized with Redis cache');
   }
@@ -14,125 +51,464 @@ class KnowledgeAPI {
   /**
    * Get answer for a knowledge query
    * @param {string} message - User query
-   * @returns {Object} { reply, citations }
+   * @param {Object} options - { filters, mode, query, ranking, cache } (normalized retrieval filters, 'extractive' | 'generative',
+   *   rewritten retrieval query, per-request { k, rerankDepth, mmrLambda }, false to bypass every cache;
+   *   the generator always sees the original message)
+   * @returns {Object} { reply, citations, mode, confidence, confidence_signals, answered, docs_found, cache }
+   *   (docs_found: chunks retrieved, cited or not; cache: null, { type: 'exact' } or
+   *   { type: 'semantic', similarity, matched_query })
    */
-  async getKnowledgeAnswer(message) {
+  async getKnowledgeAnswer(message, options = {}) {
     try {
-      // Check cache first
-      const cacheKey = `knowledge:${Buffer.from(message).toString('base64').slice(0, 100)}`;
-      const cached = await this.redis.get(cacheKey);
+      const filters = options.filters || null;
+      const mode = options.mode || this.defaultMode;
+      const query = options.query || message;
+      const ranking = options.ranking || {};
+      const useCache = options.cache !== false;
+
+      // Check cache first (normalized question; filtered answers and answer modes are cached separately,
+      // and answers from before the latest ingest are not reused)
+      const epoch = await this.qdrantDao.getCacheEpoch();
+      const cacheKey = answerCacheKey(query, { mode, filters, epoch, ranking });
+      const cached = useCache && await this.redis.get(cacheKey);
       
       if (cached) {
         console.log('[KNOWLEDGE_API] Cache hit for query');
-        return JSON.parse(cached);
+        return { ...JSON.parse(cached), cache: { type: 'exact' } };
+      }
+
+      // Then a paraphrase of an answered question (the query embedding is reused by the vector search);
+      // skipped when ranking is tuned per request, since paraphrase entries don't record how they were ranked
+      const useSemanticCache = useCache && this.semanticCache.enabled && Object.keys(ranking).length === 0;
+      const queryEmbedding = useSemanticCache ? await this.qdrantDao.generateEmbedding(query) : null;
+      const semanticHit = queryEmbedding && await this.semanticCache.lookup(query, queryEmbedding, { mode, filters, epoch });
+
+      if (semanticHit) {
+        console.log(`[KNOWLEDGE_API] Semantic cache hit (${semanticHit.similarity}) for "${semanticHit.matched_query}"`);
+        return {
+          ...semanticHit.answer,
+          cache: { type: 'semantic', similarity: semanticHit.similarity, matched_query: semanticHit.matched_query }
+        };
       }
 
       // Search Qdrant
       const startTime = process.hrtime.bigint();
-      const docs = await this.qdrantDao.searchDocuments(message, 3);
+      const docs = await this.qdrantDao.searchDocuments(query, 3, { filters, ...ranking, cache: useCache });
       const latency = Number(process.hrtime.bigint() - startTime) / 1000000;
 
       console.log(`[KNOWLEDGE_API] Retrieved ${docs.length} docs in ${Math.round(latency)}ms`);
 
       if (docs.length === 0) {
-        return {
-          reply: "I don't have information about that in my knowledge base.",
-          citations: []
-        };
+        return { ...this.abstain(mode, { score: 0, signals: { vector: 0, lexical: 0, sentence: 0 } }), docs_found: 0, cache: null };
       }
 
       // Build citations
-      const citations = docs.map((doc, idx) => ({
-        id: doc.payload.doc_id,
-        chunk: doc.payload.chunk_index,
-        score: Math.round(doc.score * 100) / 100,
-        ref: idx + 1
-      }));
+      const citations = docs.map((doc, idx) => this.buildCitation(doc, idx + 1));
 
-      // Find the most similar sentence from the top result
-      const topDoc = docs[0];
-      const bestSentence = await this.findBestSentence(message, topDoc.payload.text);
+      let result;
+      if (mode === 'generative') {
+        // Score the evidence first so a low-confidence question never reaches the generator
+        const ranked = await this.scoreSentences(query, this.sentenceCandidates(docs, citations));
+        const confidence = this.answerConfidence(query, docs, ranked.length > 0 ? ranked[0].score : 0);
+        result = confidence.score < this.confidenceConfig.threshold
+          ? this.abstain(mode, confidence)
+          : this.withConfidence(await this.composeGenerativeAnswer(message, docs, citations), confidence);
+      } else {
+        const answer = await this.composeExtractiveAnswer(query, docs, citations);
+        const confidence = this.answerConfidence(query, docs, answer.sentences.length > 0 ? answer.sentences[0].score : 0);
+        result = confidence.score < this.confidenceConfig.threshold
+          ? this.abstain(mode, confidence)
+          : this.withConfidence(answer, confidence);
+      }
+      result.docs_found = docs.length;
+
+      if (!result.answered) {
+        console.log(`[KNOWLEDGE_API] Abstained (confidence ${result.confidence} < ${this.confidenceConfig.threshold})`);
+        return { ...result, cache: null }; // Not cached: newly ingested content may answer it
+      }
 
-      const result = { reply: bestSentence, citations };
+      if (!useCache) {
+        return { ...result, cache: null };
+      }
 
-      // Cache result
-      await this.redis.setex(cacheKey, this.cacheTTL, JSON.stringify(result));
+      // Cache result, but not past the moment a cited chunk expires
+      const ttl = this.answerCacheTTL(docs);
+      // Any retrieved document changing can change the answer
+      const docIds = docs.map(doc => doc.payload.doc_id);
+      await this.redis.setex(cacheKey, ttl, JSON.stringify(result));
+      await this.qdrantDao.trackCacheDependencies(cacheKey, docIds);
+      if (queryEmbedding) {
+        await this.semanticCache.store(query, queryEmbedding, result, { mode, filters, epoch, ttl, docIds });
+      }
 
-      return result;
+      return { ...result, cache: null };
     } catch (error) {
       console.error('[KNOWLEDGE_API] Error getting knowledge answer:', error);
       return {
         reply: "Sorry, I encountered an error retrieving that information.",
-        citations: []
+        citations: [],
+        confidence: 0,
+        answered: false,
+        docs_found: 0
       };
     }
   }
 
   /**
-   * Find the most similar sentence to the user query using semantic and BM25 scoring
-   * @param {string} query - User query
-   * @param {string} text - Text chunk to search within
-   * @returns {string} Most similar sentence
+   * Extractive answer composed from the best sentences across all retrieved chunks
+   * Near-duplicates are dropped, superseded statements give way to the ones that
+   * override them, and each sentence carries the ref of the chunk it came from.
+   * @param {string} message - User query
+   * @param {Array<Object>} docs - Retrieved chunks
+   * @param {Array<Object>} citations - Citations for docs (same order)
+   * @returns {Object} { reply, sentences, citations, mode, conflict? }
    */
-  async findBestSentence(query, text) {
+  async composeExtractiveAnswer(message, docs, citations) {
+    const candidates = this.sentenceCandidates(docs, citations);
+
+    if (candidates.length === 0) {
+      return { reply: docs[0].payload.text, sentences: [], citations: citations.slice(0, 1), mode: 'extractive' };
+    }
+
+    const { maxSentences, maxChars, minRelativeScore, duplicateSimilarity, chunkRankDecay } = this.extractiveConfig;
+
+    // Retrieval already ranked the chunks: sentences from lower-ranked chunks start at a small discount
+    const ranked = (await this.scoreSentences(message, candidates))
+      .map(c => ({ ...c, score: c.score * (1 - chunkRankDecay * c.docIndex) }))
+      .sort((a, b) => b.score - a.score);
+    const floor = ranked[0].score * minRelativeScore;
+
+    const selected = [];
+    const excluded = new Set();
+    const resolutions = [];
+    let length = 0;
+
+    for (const candidate of ranked) {
+      if (selected.length >= maxSentences || candidate.score < floor) break;
+      if (excluded.has(candidate)) continue;
+
+      // A statement that is overridden elsewhere in the retrieved text gives way to the override
+      const rivals = ranked.filter(other => other !== candidate && !excluded.has(other));
+      const resolution = this.conflictResolver.resolve([candidate, ...rivals]);
+      const chosen = resolution.detected ? resolution.current : candidate;
+
+      if (resolution.detected) {
+        resolution.superseded.forEach(superseded => excluded.add(superseded));
+        resolutions.push({
+          current: chosen.sentence,
+          superseded: resolution.superseded.map(superseded => superseded.sentence)
+        });
+      }
+      excluded.add(chosen);
+
+      const duplicate = selected.some(s =>
+        this.qdrantDao.textSimilarity(s.sentence, chosen.sentence) >= duplicateSimilarity
+      );
+      if (duplicate) continue;
+      if (selected.length > 0 && length + chosen.sentence.length > maxChars) continue;
+
+      selected.push(chosen);
+      length += chosen.sentence.length;
+    }
+
+    const reply = selected.map(s => {
+      const resolution = resolutions.find(r => r.current === s.sentence);
+      const previously = resolution ? ` (Previously: ${resolution.superseded.join(' ')})` : '';
+      return `${s.sentence} [${s.ref}]${previously}`;
+    }).join(' ');
+
+    const usedRefs = new Set(selected.map(s => s.ref));
+    const result = {
+      reply,
+      sentences: selected.map(s => ({
+        text: s.sentence,
+        ref: s.ref,
+        score: Math.round(s.score * 1000) / 1000
+      })),
+      citations: citations.filter(citation => usedRefs.has(citation.ref)),
+      mode: 'extractive'
+    };
+
+    if (resolutions.length > 0) {
+      console.log(`[KNOWLEDGE_API] ${resolutions.length} conflict(s) resolved in favour of current statements`);
+      result.conflict = {
+        detected: true,
+        current: resolutions[0].current,
+        superseded: resolutions[0].superseded,
+        resolutions
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Candidate sentences from every retrieved chunk
+   * @returns {Array<Object>} [{ sentence, ref, docIndex, docId, section, chunk, position }]
+   */
+  sentenceCandidates(docs, citations) {
+    const candidates = [];
+    docs.forEach((doc, docIndex) => {
+      this.splitIntoSentences(doc.payload.text).forEach((sentence, position) => {
+        candidates.push({
+          sentence: sentence.trim(),
+          ref: citations[docIndex].ref,
+          docIndex,
+          docId: doc.payload.doc_id,
+          section: doc.payload.section || null,
+          chunk: doc.id,
+          position
+        });
+      });
+    });
+    return candidates;
+  }
+
+  /**
+   * Answer confidence from three signals in [0, 1]:
+   *   vector   - best cosine similarity among the retrieved chunks
+   *   lexical  - share of query terms found in the best-covering chunk
+   *   sentence - score of the best answer sentence
+   * @param {string} message - User query
+   * @param {Array<Object>} docs - Retrieved chunks (with vector_score)
+   * @param {number} sentenceScore - Best sentence score
+   * @returns {Object} { score, signals }
+   */
+  answerConfidence(message, docs, sentenceScore) {
+    const clamp = value => Math.min(1, Math.max(0, value || 0));
+
+    const vector = clamp(Math.max(0, ...docs.map(doc => doc.vector_score || 0)));
+
+    const queryTerms = new Set(Bm25Corpus.tokenize(message));
+    const lexical = queryTerms.size === 0 ? 0 : Math.max(0, ...docs.map(doc => {
+      const chunkTerms = new Set(Bm25Corpus.tokenize(doc.payload.text));
+      return [...queryTerms].filter(term => chunkTerms.has(term)).length / queryTerms.size;
+    }));
+
+    const sentence = clamp(sentenceScore);
+    const { weights } = this.confidenceConfig;
+    const score = weights.vector * vector + weights.lexical * lexical + weights.sentence * sentence;
+    const round = value => Math.round(value * 1000) / 1000;
+
+    return {
+      score: round(score),
+      signals: { vector: round(vector), lexical: round(lexical), sentence: round(sentence) }
+    };
+  }
+
+  /**
+   * Attach confidence to a composed answer (a generator refusal counts as not answered)
+   */
+  withConfidence(answer, confidence) {
+    if (answer.refused) {
+      return this.abstain(answer.mode, confidence);
+    }
+
+    return {
+      ...answer,
+      confidence: confidence.score,
+      confidence_signals: confidence.signals,
+      answered: true
+    };
+  }
+
+  /**
+   * Abstention reply for low-confidence (or refused) answers
+   */
+  abstain(mode, confidence) {
+    return {
+      reply: ABSTAIN_REPLY,
+      citations: [],
+      mode,
+      confidence: confidence.score,
+      confidence_signals: confidence.signals,
+      answered: false
+    };
+  }
+
+  /**
+   * Generative answer: a short synthesis of the retrieved chunks with inline [ref] markers
+   * Falls back to the extractive answer if the generator fails
+   * @param {string} message - User query
+   * @param {Array<Object>} docs - Retrieved chunks
+   * @param {Array<Object>} citations - Citations for docs (same order)
+   * @returns {Object} { reply, citations, mode, refused }
+   */
+  async composeGenerativeAnswer(message, docs, citations) {
+    const contexts = docs.map((doc, idx) => ({
+      ref: citations[idx].ref,
+      source: citations[idx].source,
+      text: doc.payload.text
+    }));
+
+    let generated;
     try {
       const startTime = process.hrtime.bigint();
-      
-      // Split text into sentences
-      const sentences = this.splitIntoSentences(text);
-      
-      if (sentences.length === 0) {
-        return text;
-      }
-      
-      if (sentences.length === 1) {
-        return sentences[0];
-      }
+      generated = await this.answerGenerator.generate({ question: message, contexts });
+      const latency = Number(process.hrtime.bigint() - startTime) / 1000000;
+      console.log(`[KNOWLEDGE_API] Generated answer with ${this.answerGenerator.name} in ${Math.round(latency)}ms`);
+    } catch (error) {
+      console.error('[KNOWLEDGE_API] Answer generation failed, falling back to extractive:', error.message);
+      return await this.composeExtractiveAnswer(message, docs, citations);
+    }
 
-      // Filter out very long sentences (likely not single sentences)
-      const validSentences = sentences.filter(s => s.length <= 500);
-      
-      if (validSentences.length === 0) {
-        return sentences[0];
-      }
+    if (generated.refused) {
+      return {
+        reply: ABSTAIN_REPLY,
+        citations: [],
+        mode: 'generative',
+        refused: true
+      };
+    }
+
+    // Keep only markers that point at a citation, and only the citations that are used
+    const validRefs = new Set(citations.map(citation => citation.ref));
+    const reply = generated.answer
+      .replace(/\s*\[(\d+)\]/g, (marker, ref) => validRefs.has(Number(ref)) ? marker : '')
+      .trim();
+    const usedRefs = new Set([...reply.matchAll(/\[(\d+)\]/g)].map(match => Number(match[1])));
+
+    return {
+      reply,
+      citations: citations.filter(citation => usedRefs.has(citation.ref)),
+      mode: 'generative',
+      refused: false
+    };
+  }
+
+  /**
+   * Build a citation for a retrieved chunk
+   * @param {Object} doc - Search result with payload
+   * @param {number} ref - Reference number
+   * @returns {Object} { id, chunk, section, source, score, ref, vector_score?, bm25_score?, effective? }
+   */
+  buildCitation(doc, ref) {
+    const { doc_id: docId, chunk_index: chunkIndex, section } = doc.payload;
+    const citation = {
+      id: docId,
+      chunk: chunkIndex,
+      section: section || null,
+      source: section ? `${docId} › ${section}` : docId,
+      score: Math.round(doc.score * 100) / 100,
+      ref
+    };
+
+    // Scores from each ranking stage (the score above is the final relevance)
+    const round = value => value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+    if (doc.vector_score !== undefined) {
+      citation.vector_score = round(doc.vector_score);
+      citation.bm25_score = round(doc.bm25_score);
+    }
+    if (doc.rerank_score !== undefined) {
+      citation.rrf_score = round(doc.rrf_score);
+      citation.rerank_score = round(doc.rerank_score);
+      citation.mmr_score = round(doc.mmr_score);
+    }
+
+    if (doc.payload.effective_from || doc.payload.effective_until) {
+      citation.effective = {
+        from: doc.payload.effective_from || null,
+        until: doc.payload.effective_until || null
+      };
+    }
+    if (doc.effective_status) {
+      citation.effective_status = doc.effective_status; // Down-ranked: expired or pending
+    }
 
-      // Generate embeddings in parallel for ALL sentences at once
-      const embeddingStartTime = process.hrtime.bigint();
-      const [queryEmbedding, ...sentenceEmbeddings] = await Promise.all([
-        this.qdrantDao.generateEmbedding(query),
-        ...validSentences.map(sentence => this.qdrantDao.generateEmbedding(sentence))
-      ]);
-      const embeddingTime = Number(process.hrtime.bigint() - embeddingStartTime) / 1000000;
+    return citation;
+  }
+
+  /**
+   * Rank the sentences of a text chunk against the user query using semantic and BM25 scoring
+   * @param {string} query - User query
+   * @param {string} text - Text chunk to search within
+   * @returns {Array<Object>} [{ sentence, score, position }] best first (position = order in text)
+   */
+  async rankSentences(query, text) {
+    // Split text into sentences
+    const sentences = this.splitIntoSentences(text)
+      .map((sentence, position) => ({ sentence: sentence.trim(), position }));
+    
+    if (sentences.length <= 1) {
+      return sentences.map(s => ({ ...s, score: 1 }));
+    }
+
+    return await this.scoreSentences(query, sentences);
+  }
+
+  /**
+   * Score candidate sentences against the user query (weighted semantic + corpus BM25)
+   * @param {string} query - User query
+   * @param {Array<Object>} candidates - [{ sentence, ... }] (extra fields are kept)
+   * @returns {Array<Object>} Candidates with a score, best first (over-long ones dropped)
+   */
+  async scoreSentences(query, candidates) {
+    const startTime = process.hrtime.bigint();
+
+    // Filter out very long sentences (likely not single sentences)
+    const validSentences = candidates.filter(c => c.sentence.length <= 500);
+    
+    if (validSentences.length === 0) {
+      return candidates.length > 0 ? [{ ...candidates[0], score: 0 }] : [];
+    }
+
+    // Generate embeddings in parallel for ALL sentences at once
+    const embeddingStartTime = process.hrtime.bigint();
+    const [queryEmbedding, ...sentenceEmbeddings] = await Promise.all([
+      this.qdrantDao.generateEmbedding(query),
+      ...validSentences.map(c => this.qdrantDao.generateEmbedding(c.sentence))
+    ]);
+    const embeddingTime = Number(process.hrtime.bigint() - embeddingStartTime) / 1000000;
+    
+    console.log(`[KNOWLEDGE_API] Generated ${validSentences.length + 1} embeddings in ${Math.round(embeddingTime)}ms`);
+
+    // Score all sentences
+    const ranked = validSentences.map((c, i) => {
+      // Semantic similarity score
+      const semanticScore = this.cosineSimilarity(queryEmbedding, sentenceEmbeddings[i]);
       
-      console.log(`[KNOWLEDGE_API] Generated ${validSentences.length + 1} embeddings in ${Math.round(embeddingTime)}ms`);
+      // BM25 score for the sentence
+      const bm25Score = this.calculateBM25Score(query, c.sentence);
       
-      let bestSentence = validSentences[0];
-      let bestScore = -1;
-
-      // Score all sentences
-      for (let i = 0; i < validSentences.length; i++) {
-        const sentence = validSentences[i];
-        const sentenceEmbedding = sentenceEmbeddings[i];
-        
-        // Semantic similarity score
-        const semanticScore = this.cosineSimilarity(queryEmbedding, sentenceEmbedding);
-        
-        // BM25 score for the sentence
-        const bm25Score = this.calculateBM25Score(query, sentence);
-        
-        // Combined score (weighted average: 70% semantic, 30% BM25)
-        const combinedScore = (0.7 * semanticScore) + (0.3 * bm25Score);
-        
-        if (combinedScore > bestScore) {
-          bestScore = combinedScore;
-          bestSentence = sentence;
-        }
-      }
+      // Combined score (weighted average, SENTENCE_SEMANTIC_WEIGHT / SENTENCE_LEXICAL_WEIGHT)
+      const score = (this.sentenceWeights.semantic * semanticScore) + (this.sentenceWeights.lexical * bm25Score);
+      return { ...c, score, semantic_score: semanticScore, lexical_score: bm25Score };
+    }).sort((a, b) => b.score - a.score);
 
-      const totalTime = Number(process.hrtime.bigint() - startTime) / 1000000;
-      console.log(`[KNOWLEDGE_API] Sentence selection completed in ${Math.round(totalTime)}ms (score: ${bestScore.toFixed(3)})`);
-      
-      return bestSentence.trim();
+    const totalTime = Number(process.hrtime.bigint() - startTime) / 1000000;
+    console.log(`[KNOWLEDGE_API] Sentence scoring completed in ${Math.round(totalTime)}ms (best: ${ranked[0].score.toFixed(3)})`);
+    
+    return ranked;
+  }
+
+  /**
+   * Answer cache TTL in seconds, capped at the earliest upcoming expiry among the cited chunks
+   * @param {Array<Object>} docs - Retrieved chunks
+   * @returns {number} TTL in seconds (at least 1)
+   */
+  answerCacheTTL(docs) {
+    const now = Date.now();
+    const expiries = docs
+      .map(doc => doc.payload.effective_until_ts)
+      .filter(ts => ts && ts > now);
+
+    if (expiries.length === 0) {
+      return this.cacheTTL;
+    }
+
+    return Math.max(1, Math.min(this.cacheTTL, Math.floor((Math.min(...expiries) - now) / 1000)));
+  }
+
+  /**
+   * Find the most similar sentence to the user query using semantic and BM25 scoring
+   * @param {string} query - User query
+   * @param {string} text - Text chunk to search within
+   * @returns {string} Most similar sentence
+   */
+  async findBestSentence(query, text) {
+    try {
+      const ranked = await this.rankSentences(query, text);
+      return ranked.length > 0 ? ranked[0].sentence : text;
     } catch (error) {
       console.error('[KNOWLEDGE_API] Error finding best sentence:', error);
       return text; // Fallback to original text
@@ -188,30 +564,13 @@ class KnowledgeAPI {
   }
 
   /**
-   * Calculate BM25 score for a sentence
+   * Calculate BM25 score for a sentence using the ingested corpus' IDF and average length
    * @param {string} query - Query text
    * @param {string} sentence - Sentence text
-   * @returns {number} BM25 score
+   * @returns {number} BM25 score normalized to [0, 1]
    */
   calculateBM25Score(query, sentence) {
-    const queryTerms = query.toLowerCase().split(/\s+/);
-    const sentenceTerms = sentence.toLowerCase().split(/\s+/);
-    
-    let score = 0;
-    const k1 = 1.2;
-    const b = 0.75;
-    const avgLength = 20; // Average sentence length
-    
-    for (const term of queryTerms) {
-      const termFreq = sentenceTerms.filter(t => t === term).length;
-      if (termFreq > 0) {
-        const idf = Math.log(1); // Simplified IDF (could be improved with document frequency)
-        const tf = (termFreq * (k1 + 1)) / (termFreq + k1 * (1 - b + b * (sentenceTerms.length / avgLength)));
-        score += idf * tf;
-      }
-    }
-    
-    return score;
+    return this.qdrantDao.bm25Corpus.score(query, sentence);
   }
 
   /**
@@ -265,6 +624,7 @@ class KnowledgeAPI {
     if (keys.length > 0) {
       await this.redis.del(...keys);
     }
+    await this.semanticCache.clear();
     console.log('[KNOWLEDGE_API] Cache cleared');
   }
 
@@ -274,10 +634,13 @@ class KnowledgeAPI {
   async getCacheStats() {
     const keys = await this.redis.keys('knowledge:*');
     return {
-      cached_queries: keys.length
+      cached_queries: keys.length,
+      semantic_entries: await this.semanticCache.count()
     };
   }
 }
 
+KnowledgeAPI.ANSWER_MODES = ANSWER_MODES;
+
 module.exports = KnowledgeAPI;
 
@@ -0,0 +1,275 @@
+const readline = require('readline');
+const Bm25Corpus = require('./bm25');
+
+const ARCHIVE_FORMAT = 'fastlane-knowledge-archive';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Knowledge-base archives (export / import)
+ * A portable JSONL snapshot of one tenant's knowledge base, one record per line:
+ *   { type: 'header', format, version, exported_at, tenant, collection, embedding: { model, dimensions },
+ *     chunking: { max_tokens, overlap_tokens }, vectors, counts: { documents, chunks } }
+ *   { type: 'document', id, text, tags, metadata, effective_from, effective_until, sections,
+ *     content_hash, chunk_count, ingested_at }            (source document; text null if never stored)
+ *   { type: 'chunk', id, payload, vector? }              (after its document, in chunk order)
+ *   { type: 'bm25_corpus', k1, b, sentence_count, avg_length, document_frequency }
+ * On import, chunks are written verbatim when the archive was embedded with the configured
+ * model, dimensions and chunking; otherwise documents are re-chunked and re-embedded from
+ * their source text.
+ */
+class KnowledgeArchive {
+  constructor(qdrantDao) {
+    this.qdrantDao = qdrantDao;
+  }
+
+  /**
+   * Archive records for the whole knowledge base
+   * @param {Object} options - { vectors } include chunk vectors (default true)
+   * @returns {AsyncGenerator<Object>} Records in archive order
+   */
+  async *export({ vectors = true } = {}) {
+    const dao = this.qdrantDao;
+    await dao.ensureCollection();
+
+    const documents = await dao.listDocuments();
+    yield {
+      type: 'header',
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exported_at: new Date().toISOString(),
+      tenant: dao.tenant,
+      collection: dao.collectionName,
+      embedding: { model: dao.embeddingModel, dimensions: dao.embeddingDimensions },
+      chunking: { max_tokens: dao.chunker.maxTokens, overlap_tokens: dao.chunker.overlapTokens },
+      vectors,
+      counts: {
+        documents: documents.length,
+        chunks: documents.reduce((sum, doc) => sum + doc.chunk_count, 0)
+      }
+    };
+
+    for (const { doc_id: docId } of documents) {
+      const points = (await dao.scrollAll({ must: [{ key: 'doc_id', match: { value: docId } }] }, true, 256, vectors))
+        .sort((a, b) => a.payload.chunk_index - b.payload.chunk_index);
+      if (points.length === 0) continue; // Deleted since it was listed
+
+      const source = await dao.getSourceDocument(docId);
+      const first = points[0].payload;
+      yield {
+        type: 'document',
+        ...(source || {
+          id: docId,
+          text: null,
+          tags: first.tags || [],
+          metadata: first.metadata || {},
+          effective_from: first.effective_from || null,
+          effective_until: first.effective_until || null,
+          sections: {},
+          content_hash: first.content_hash || '',
+          chunk_count: points.length,
+          ingested_at: first.ingested_at || null
+        })
+      };
+
+      for (const point of points) {
+        yield { type: 'chunk', id: point.id, payload: point.payload, ...(vectors && { vector: point.vector }) };
+      }
+    }
+
+    yield { type: 'bm25_corpus', ...dao.bm25Corpus.toJSON() };
+  }
+
+  /**
+   * Whether archived chunks can be written as they are
+   * @returns {Object} { reuse_vectors, reasons } (reasons: why documents will be re-embedded)
+   */
+  compatibility(header) {
+    const dao = this.qdrantDao;
+    const reasons = [];
+
+    if (!header.vectors) {
+      reasons.push('the archive has no vectors');
+    }
+    if (header.embedding.model !== dao.embeddingModel || header.embedding.dimensions !== dao.embeddingDimensions) {
+      reasons.push(`the archive was embedded with ${header.embedding.model} (${header.embedding.dimensions} dimensions), ` +
+        `this knowledge base uses ${dao.embeddingModel} (${dao.embeddingDimensions} dimensions)`);
+    }
+    if (!header.chunking || header.chunking.max_tokens !== dao.chunker.maxTokens ||
+        header.chunking.overlap_tokens !== dao.chunker.overlapTokens) {
+      reasons.push('the archive was chunked with different CHUNK_MAX_TOKENS / CHUNK_OVERLAP_TOKENS');
+    }
+
+    return { reuse_vectors: reasons.length === 0, reasons };
+  }
+
+  /**
+   * Import an archive into the knowledge base (existing documents with the same id are replaced)
+   * @param {ReadableStream} stream - Archive JSONL
+   * @param {Object} options - { replace: delete documents the archive doesn't contain,
+   *   reembed: false refuses archives whose vectors can't be reused }
+   * @returns {Object} { ok, vectors, compatibility, document_count, added, updated, unchanged, reembedded,
+   *   deleted, chunk_count, bm25_corpus, errors, error?, status? }
+   */
+  async import(stream, { replace = false, reembed = true } = {}) {
+    const dao = this.qdrantDao;
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let streamError = null;
+    stream.on('error', error => {
+      streamError = error; // e.g. a corrupt gzip body
+      lines.close();
+    });
+    const errors = [];
+    let header = null;
+    let compatibility = null;
+    let current = null;
+    let archivedCorpus = null;
+    let lineNumber = 0;
+
+    const summary = {
+      document_count: 0, added: [], updated: [], unchanged: [], reembedded: [], deleted: [], chunk_count: 0
+    };
+    const imported = new Set();
+
+    // Write one document with the chunks that followed it
+    const flush = async () => {
+      if (!current) return;
+      const { record, chunks, line } = current;
+      current = null;
+
+      const usable = compatibility.reuse_vectors && chunks.length > 0 &&
+        chunks.every(chunk => Array.isArray(chunk.vector) && chunk.vector.length === dao.embeddingDimensions);
+
+      try {
+        if (usable) {
+          const outcome = await dao.importDocument(record, chunks);
+          summary[outcome].push(record.id);
+          if (outcome !== 'unchanged') summary.chunk_count += chunks.length;
+        } else if (typeof record.text === 'string') {
+          const result = await dao.upsertDocuments([{
+            id: record.id,
+            text: record.text,
+            tags: record.tags,
+            metadata: record.metadata,
+            effective_from: record.effective_from,
+            effective_until: record.effective_until,
+            sections: record.sections
+          }], { rebuildLexical: false });
+          ['added', 'updated', 'unchanged'].forEach(outcome => summary[outcome].push(...result[outcome]));
+          if (result.unchanged.length === 0) summary.reembedded.push(record.id);
+          summary.chunk_count += result.chunk_count;
+        } else {
+          throw new Error('no source text to re-embed and no usable vectors');
+        }
+        summary.document_count++;
+        imported.add(record.id);
+      } catch (error) {
+        errors.push({ line, id: record.id, error: error.message });
+      }
+    };
+
+    try {
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          if (!header) {
+            return { ok: false, status: 400, error: `Line ${lineNumber}: invalid JSON (${error.message})` };
+          }
+          errors.push({ line: lineNumber, error: `Invalid JSON: ${error.message}` });
+          continue;
+        }
+
+        if (!header) {
+          if (record.type !== 'header' || record.format !== ARCHIVE_FORMAT) {
+            return { ok: false, status: 400, error: `Not a knowledge archive (the first line must be a ${ARCHIVE_FORMAT} header)` };
+          }
+          if (record.version !== ARCHIVE_VERSION) {
+            return { ok: false, status: 400, error: `Unsupported archive version ${record.version} (expected ${ARCHIVE_VERSION})` };
+          }
+          if (!record.embedding || typeof record.embedding.model !== 'string' || !Number.isInteger(record.embedding.dimensions)) {
+            return { ok: false, status: 400, error: 'Archive header has no embedding model and dimensions' };
+          }
+
+          header = record;
+          compatibility = this.compatibility(header);
+          if (!compatibility.reuse_vectors && !reembed) {
+            return { ok: false, status: 409, error: `Vectors cannot be reused: ${compatibility.reasons.join('; ')}`, compatibility };
+          }
+          await dao.ensureCollection();
+          continue;
+        }
+
+        switch (record.type) {
+          case 'document':
+            await flush();
+            if (typeof record.id !== 'string' || !record.id) {
+              errors.push({ line: lineNumber, error: 'Document record without an id' });
+              break;
+            }
+            current = { record, chunks: [], line: lineNumber };
+            break;
+          case 'chunk':
+            if (!current || !record.payload || record.payload.doc_id !== current.record.id) {
+              errors.push({ line: lineNumber, error: 'Chunk record does not follow its document' });
+              break;
+            }
+            current.chunks.push(record);
+            break;
+          case 'bm25_corpus':
+            archivedCorpus = Bm25Corpus.fromJSON(record);
+            break;
+          default:
+            errors.push({ line: lineNumber, error: `Unknown record type: ${record.type}` });
+        }
+      }
+
+      if (streamError) {
+        throw streamError;
+      }
+      if (!header) {
+        return { ok: false, status: 400, error: 'The archive is empty' };
+      }
+      await flush();
+
+      // Only once the whole archive went through cleanly, so a broken archive never empties the knowledge base
+      if (replace && errors.length > 0) {
+        errors.push({ error: 'Documents missing from the archive were kept because some records failed to import' });
+      } else if (replace) {
+        for (const { doc_id: docId } of await dao.listDocuments()) {
+          if (!imported.has(docId)) {
+            await dao.deleteDocument(docId);
+            summary.deleted.push(docId);
+          }
+        }
+      }
+    } finally {
+      dao.rebuildTfIdf();
+    }
+
+    console.log(`[KNOWLEDGE_ARCHIVE] Imported ${summary.document_count} documents (${summary.added.length} added, ` +
+      `${summary.updated.length} updated, ${summary.unchanged.length} unchanged, ${summary.reembedded.length} re-embedded, ` +
+      `${summary.deleted.length} deleted, ${errors.length} errors)`);
+
+    return {
+      ok: errors.length === 0,
+      vectors: compatibility.reuse_vectors ? 'reused' : 're-embedded',
+      compatibility,
+      ...summary,
+      bm25_corpus: {
+        archived: archivedCorpus ? archivedCorpus.stats() : null,
+        rebuilt: dao.bm25Corpus.stats()
+      },
+      errors
+    };
+  }
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  KnowledgeArchive
+};
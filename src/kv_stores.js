@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const Redis = require('ioredis');
+const { localDataDir, acquireLock, writeFileAtomic } = require('./local_storage');
+
+/**
+ * Key-value stores
+ * Caches, sessions, appointments, jobs and registries are kept through the ioredis API.
+ * KV_STORE=redis connects to REDIS_URL; KV_STORE=local keeps the data in process and
+ * snapshots it to LOCAL_DATA_DIR/kv.json, implementing the Redis commands the service
+ * uses (get/set/setex/mget/incr, del/exists/keys/expire/persist, sadd/srem/smembers/scard,
+ * rpush/lrange/llen, zadd/zrange/zrem/zcard, ping/quit/disconnect/duplicate) with the
+ * same keyPrefix behaviour (KEYS patterns and results are not prefixed).
+ */
+
+// Redis glob (* and ?) as a RegExp
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 's');
+}
+
+function wrongType() {
+  return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+// Redis list/range indexes (negative = from the end) as an inclusive [start, stop]
+function rangeIndexes(length, start, stop) {
+  start = parseInt(start, 10);
+  stop = parseInt(stop, 10);
+  if (start < 0) start = Math.max(0, length + start);
+  if (stop < 0) stop = length + stop;
+  return [start, Math.min(stop, length - 1)];
+}
+
+/**
+ * In-process data shared by every keyPrefix view (one per snapshot file)
+ * Entries: key -> { type: string | set | zset | list, value, expiresAt }. Writes are
+ * snapshotted to kv.json a moment after they happen (like Redis RDB saves), when a
+ * client quits or disconnects, and when the process exits.
+ */
+class LocalKeyValueData {
+  constructor({ file = path.join(localDataDir(), 'kv.json') } = {}) {
+    this.file = file;
+    this.entries = new Map();
+    this.saveTimer = null;
+    this.saveDelay = 1000;
+
+    acquireLock(`${file}.lock`);
+    if (fs.existsSync(file)) {
+      const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      for (const [key, { type, value, expires_at: expiresAt }] of snapshot.entries) {
+        this.entries.set(key, {
+          type,
+          value: type === 'set' ? new Set(value) : type === 'zset' ? new Map(value) : value,
+          expiresAt
+        });
+      }
+    }
+    this.removeExpired();
+
+    process.once('exit', () => this.save());
+    console.log(`[KV_STORE] Loaded ${this.entries.size} keys from ${file}`);
+  }
+
+  // Live entry (expired ones are removed on access, like Redis)
+  entry(key, type = null) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    if (type && entry.type !== type) {
+      throw wrongType();
+    }
+    return entry;
+  }
+
+  // Existing entry of a type, or a new empty one
+  entryFor(key, type, empty) {
+    const entry = this.entry(key, type);
+    if (entry) return entry;
+
+    const created = { type, value: empty, expiresAt: null };
+    this.entries.set(key, created);
+    return created;
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  changed() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    this.saveTimer.unref(); // Never keeps a CLI alive; the exit hook saves instead
+  }
+
+  save() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.removeExpired();
+
+    const entries = [...this.entries].map(([key, { type, value, expiresAt }]) => [key, {
+      type,
+      value: type === 'set' || type === 'zset' ? [...value] : value,
+      expires_at: expiresAt
+    }]);
+    writeFileAtomic(this.file, JSON.stringify({ version: 1, entries }));
+  }
+}
+
+/**
+ * ioredis-compatible client over LocalKeyValueData (KV_STORE=local)
+ */
+class LocalKeyValueStore {
+  constructor({ data, keyPrefix = '' } = {}) {
+    this.data = data;
+    this.keyPrefix = keyPrefix;
+  }
+
+  key(key) {
+    return this.keyPrefix + key;
+  }
+
+  // Same data, another keyPrefix (as ioredis duplicate({ keyPrefix }))
+  duplicate(options = {}) {
+    return new LocalKeyValueStore({ data: this.data, keyPrefix: options.keyPrefix ?? this.keyPrefix });
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async quit() {
+    this.data.save();
+    return 'OK';
+  }
+
+  disconnect() {
+    this.data.save();
+  }
+
+  // Strings
+
+  async get(key) {
+    const entry = this.data.entry(this.key(key), 'string');
+    return entry ? entry.value : null;
+  }
+
+  async mget(...keys) {
+    return keys.flat().map(key => {
+      const entry = this.data.entry(this.key(key));
+      return entry && entry.type === 'string' ? entry.value : null;
+    });
+  }
+
+  async set(key, value) {
+    this.data.entries.set(this.key(key), { type: 'string', value: String(value), expiresAt: null });
+    this.data.changed();
+    return 'OK';
+  }
+
+  async setex(key, seconds, value) {
+    this.data.entries.set(this.key(key), { type: 'string', value: String(value), expiresAt: Date.now() + seconds * 1000 });
+    this.data.changed();
+    return 'OK';
+  }
+
+  async incr(key) {
+    const entry = this.data.entryFor(this.key(key), 'string', '0');
+    const value = Number(entry.value);
+    if (!Number.isInteger(value)) {
+      throw new Error('ERR value is not an integer or out of range');
+    }
+    entry.value = String(value + 1);
+    this.data.changed();
+    return value + 1;
+  }
+
+  // Keys
+
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys.flat()) {
+      if (this.data.entry(this.key(key))) {
+        this.data.entries.delete(this.key(key));
+        removed++;
+      }
+    }
+    if (removed > 0) this.data.changed();
+    return removed;
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter(key => this.data.entry(this.key(key))).length;
+  }
+
+  // Pattern and results are not prefixed (as in ioredis; see tenants.scopeKeys)
+  async keys(pattern) {
+    const regexp = globToRegExp(pattern);
+    return [...this.data.entries.keys()].filter(key => regexp.test(key) && this.data.entry(key));
+  }
+
+  async expire(key, seconds) {
+    const entry = this.data.entry(this.key(key));
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + seconds * 1000;
+    this.data.changed();
+    return 1;
+  }
+
+  async persist(key) {
+    const entry = this.data.entry(this.key(key));
+    if (!entry || entry.expiresAt === null) return 0;
+    entry.expiresAt = null;
+    this.data.changed();
+    return 1;
+  }
+
+  // Sets
+
+  async sadd(key, ...members) {
+    const set = this.data.entryFor(this.key(key), 'set', new Set()).value;
+    const before = set.size;
+    members.flat().forEach(member => set.add(String(member)));
+    this.data.changed();
+    return set.size - before;
+  }
+
+  async srem(key, ...members) {
+    const entry = this.data.entry(this.key(key), 'set');
+    if (!entry) return 0;
+    const removed = members.flat().filter(member => entry.value.delete(String(member))).length;
+    if (entry.value.size === 0) this.data.entries.delete(this.key(key));
+    this.data.changed();
+    return removed;
+  }
+
+  async smembers(key) {
+    const entry = this.data.entry(this.key(key), 'set');
+    return entry ? [...entry.value] : [];
+  }
+
+  async scard(key) {
+    const entry = this.data.entry(this.key(key), 'set');
+    return entry ? entry.value.size : 0;
+  }
+
+  // Lists
+
+  async rpush(key, ...values) {
+    const list = this.data.entryFor(this.key(key), 'list', []).value;
+    list.push(...values.flat().map(String));
+    this.data.changed();
+    return list.length;
+  }
+
+  async lrange(key, start, stop) {
+    const entry = this.data.entry(this.key(key), 'list');
+    if (!entry) return [];
+    const [from, to] = rangeIndexes(entry.value.length, start, stop);
+    return entry.value.slice(from, to + 1);
+  }
+
+  async llen(key) {
+    const entry = this.data.entry(this.key(key), 'list');
+    return entry ? entry.value.length : 0;
+  }
+
+  // Sorted sets (members ordered by score, then lexically)
+
+  async zadd(key, ...args) {
+    const zset = this.data.entryFor(this.key(key), 'zset', new Map()).value;
+    const pairs = args.flat();
+    let added = 0;
+    for (let i = 0; i + 1 < pairs.length; i += 2) {
+      const member = String(pairs[i + 1]);
+      if (!zset.has(member)) added++;
+      zset.set(member, Number(pairs[i]));
+    }
+    this.data.changed();
+    return added;
+  }
+
+  async zrange(key, start, stop) {
+    const entry = this.data.entry(this.key(key), 'zset');
+    if (!entry) return [];
+    const members = [...entry.value]
+      .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+      .map(([member]) => member);
+    const [from, to] = rangeIndexes(members.length, start, stop);
+    return members.slice(from, to + 1);
+  }
+
+  async zrem(key, ...members) {
+    const entry = this.data.entry(this.key(key), 'zset');
+    if (!entry) return 0;
+    const removed = members.flat().filter(member => entry.value.delete(String(member))).length;
+    if (entry.value.size === 0) this.data.entries.delete(this.key(key));
+    this.data.changed();
+    return removed;
+  }
+
+  async zcard(key) {
+    const entry = this.data.entry(this.key(key), 'zset');
+    return entry ? entry.value.size : 0;
+  }
+}
+
+// One data set per file, shared by every tenant's view in the process
+const localData = new Map();
+
+// Configured backend name (KV_STORE, default redis)
+function keyValueBackend(config = {}) {
+  return (config.backend || process.env.KV_STORE || 'redis').toLowerCase();
+}
+
+/**
+ * Create the configured key-value client
+ * @param {Object} config - { backend: redis | local (default KV_STORE), keyPrefix, file }
+ * @returns {Redis|LocalKeyValueStore}
+ */
+function createKeyValueStore(config = {}) {
+  const backend = keyValueBackend(config);
+  const keyPrefix = config.keyPrefix || '';
+
+  switch (backend) {
+    case 'redis':
+      return new Redis(process.env.REDIS_URL, {
+        retryDelayOnFailover: 100,
+        enableReadyCheck: false,
+        maxRetriesPerRequest: 3,
+        ...(keyPrefix && { keyPrefix })
+      });
+    case 'local': {
+      const file = config.file || path.join(localDataDir(), 'kv.json');
+      if (!localData.has(file)) {
+        localData.set(file, new LocalKeyValueData({ file }));
+      }
+      return new LocalKeyValueStore({ data: localData.get(file), keyPrefix });
+    }
+    default:
+      throw new Error(`Unknown key-value store: ${backend} (expected "redis" or "local")`);
+  }
+}
+
+module.exports = {
+  LocalKeyValueStore,
+  keyValueBackend,
+  createKeyValueStore
+};
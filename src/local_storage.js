@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local storage helpers shared by the embedded vector and key-value stores
+ * (VECTOR_STORE=local / KV_STORE=local). Both keep their data under LOCAL_DATA_DIR
+ * (default: data/ in the project) and lock their files to one process, because each
+ * process holds the data in memory and would overwrite another's writes.
+ */
+
+/**
+ * Directory the embedded stores persist to
+ * @returns {string} Absolute path (created if missing)
+ */
+function localDataDir() {
+  const dir = process.env.LOCAL_DATA_DIR
+    ? path.resolve(process.env.LOCAL_DATA_DIR)
+    : path.join(__dirname, '..', 'data');
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+/**
+ * Take an exclusive lock file for this process (released when the process exits)
+ * A lock left behind by a process that no longer runs is taken over.
+ * @param {string} lockFile - Path of the lock file
+ * @throws {Error} When another running process holds the lock
+ */
+function acquireLock(lockFile) {
+  for (;;) {
+    try {
+      fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const pid = parseInt(fs.readFileSync(lockFile, 'utf8'), 10);
+    if (pid === process.pid) return;
+    if (pid && isRunning(pid)) {
+      throw new Error(`${path.dirname(lockFile)} is in use by process ${pid}: stop it first, ` +
+        'or go through its HTTP API while it runs');
+    }
+    fs.unlinkSync(lockFile); // Stale
+  }
+
+  process.once('exit', () => {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (error) {
+      // Already gone
+    }
+  });
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Replace a file in one step (write a sibling, then rename over the original)
+ */
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+module.exports = {
+  localDataDir,
+  acquireLock,
+  writeFileAtomic
+};
@@ -4,18 +4,24 @@ const Memory = require('./memory');
 const ScheduleAPI = require('./schedule_api');
 const KnowledgeAPI = require('./knowledge_api');
 const IntentDetector = require('./intent_detector');
+const QueryRewriter = require('./query_rewriter');
 
 /**
  * Fast orchestrator with FastText intent detection
  * Handles schedule and knowledge queries with <500ms latency
  */
 class Orchestrator {
-  constructor(qdrantDao) {
+  /**
+   * @param {QdrantDao} qdrantDao - Tenant's DAO (its Redis client scopes memory and appointments)
+   * @param {Object} options - { intentDetector } (shared between tenants; the model is tenant-independent)
+   */
+  constructor(qdrantDao, options = {}) {
     this.qdrantDao = qdrantDao;
     this.memory = new Memory(qdrantDao.redis);
     this.scheduleAPI = new ScheduleAPI(qdrantDao.redis);
     this.knowledgeAPI = new KnowledgeAPI(qdrantDao);
-    this.intentDetector = new IntentDetector();
+    this.queryRewriter = new QueryRewriter(qdrantDao);
+    this.intentDetector = options.intentDetector || new IntentDetector();
     
     console.log('[ORCHESTRATOR] Initialized with FastText intent detection');
   }
@@ -24,7 +30,9 @@ class Orchestrator {
    * Initialize the orchestrator (train/load FastText model)
    */
   async initialize() {
-    await this.intentDetector.load();
+    if (!this.intentDetector.isReady) {
+      await this.intentDetector.load();
+    }
   }
 
   /**
@@ -104,9 +112,11 @@ class Orchestrator {
    * Main orchestration method
    * @param {string} message - User message
    * @param {string} sessionId - Session identifier
+   * @param {Object} options - { filters, mode, ranking } (normalized knowledge retrieval filters, answer mode,
+   *   per-request { k, rerankDepth, mmrLambda })
    * @returns {Object} Response with reply, citations, plan_steps, latency_ms
    */
-  async orchestrate(sessionId, message) {
+  async orchestrate(sessionId, message, options = {}) {
     const startTime = process.hrtime.bigint();
     const planSteps = [];
 
@@ -129,7 +139,7 @@ class Orchestrator {
       
       // Handle dual intent (knowledge + schedule)
       if (intent.knowledge && intent.schedule) {
-        return await this.handleDualIntent(sessionId, message, planSteps, startTime);
+        return await this.handleDualIntent(sessionId, message, planSteps, startTime, options);
       }
 
       // Handle schedule intent
@@ -146,7 +156,7 @@ class Orchestrator {
 
       // Handle knowledge intent
       if (intent.knowledge) {
-        return await this.handleKnowledge(sessionId, message, planSteps, startTime);
+        return await this.handleKnowledge(sessionId, message, planSteps, startTime, options);
       }
 
       // Fallback
@@ -351,15 +361,31 @@ class Orchestrator {
   /**
    * Handle knowledge query
    */
-  async handleKnowledge(sessionId, message, planSteps, startTime) {
+  async handleKnowledge(sessionId, message, planSteps, startTime, options = {}) {
+    const query = this.rewriteQuery(message, planSteps);
+
     // Retrieve from knowledge base
     const retrieveStart = process.hrtime.bigint();
-    const answer = await this.knowledgeAPI.getKnowledgeAnswer(message);
+    const answer = await this.knowledgeAPI.getKnowledgeAnswer(message, {
+      filters: options.filters,
+      mode: options.mode,
+      query,
+      ranking: options.ranking
+    });
     const retrieveLatency = Number(process.hrtime.bigint() - retrieveStart) / 1000000;
 
     planSteps.push({
       step: 'retrieve_knowledge',
-      docs_found: answer.citations.length,
+      docs_found: answer.docs_found,
+      citations: answer.citations.length,
+      filters: options.filters || null,
+      answer_mode: answer.mode,
+      ranking: this.rankingStep(options.ranking),
+      sentence_scoring: this.sentenceScoringStep(answer),
+      confidence: answer.confidence,
+      confidence_signals: answer.confidence_signals || null,
+      answered: answer.answered,
+      cache: answer.cache || { type: 'miss' },
       latency_ms: Math.round(retrieveLatency)
     });
 
@@ -368,27 +394,100 @@ class Orchestrator {
     return {
       reply: answer.reply,
       citations: answer.citations,
+      confidence: answer.confidence,
+      answered: answer.answered,
+      ...(answer.conflict && { conflict: answer.conflict }),
       plan_steps: planSteps,
       latency_ms: Math.round(totalLatency)
     };
   }
 
+  /**
+   * Rewrite the message for retrieval (synonyms, spelling, booking text removed)
+   * and record the rewrite as a plan step
+   * @returns {string} Retrieval query
+   */
+  rewriteQuery(message, planSteps) {
+    const rewriteStart = process.hrtime.bigint();
+    const rewrite = this.queryRewriter.rewrite(message);
+    const rewriteLatency = Number(process.hrtime.bigint() - rewriteStart) / 1000000;
+
+    planSteps.push({
+      step: 'rewrite_query',
+      ...rewrite,
+      latency_ms: Math.round(rewriteLatency)
+    });
+
+    if (rewrite.changed) {
+      console.log(`[ORCHESTRATOR] Rewrote query: "${message}" -> "${rewrite.query}"`);
+    }
+
+    return rewrite.query;
+  }
+
+  /**
+   * Ranking configuration used for retrieval (defaults with per-request overrides)
+   */
+  rankingStep(ranking = {}) {
+    const { k, rerankDepth, mmrLambda } = this.qdrantDao.rankingOptions(3, ranking);
+    return {
+      reranker: this.qdrantDao.reranker.name,
+      rerank_depth: rerankDepth,
+      mmr_lambda: mmrLambda,
+      k
+    };
+  }
+
+  /**
+   * Sentence ranking blend used for an extractive answer (null for other modes)
+   */
+  sentenceScoringStep(answer) {
+    if (answer.mode !== 'extractive') {
+      return null;
+    }
+
+    const { semantic, lexical } = this.knowledgeAPI.sentenceWeights;
+    return {
+      semantic_weight: semantic,
+      lexical_weight: lexical,
+      lexical: 'bm25',
+      corpus: this.qdrantDao.bm25Corpus.stats()
+    };
+  }
+
   /**
    * Handle dual intent (knowledge + schedule)
    */
-  async handleDualIntent(sessionId, message, planSteps, startTime) {
+  async handleDualIntent(sessionId, message, planSteps, startTime, options = {}) {
     console.log('[ORCHESTRATOR] Handling dual intent');
 
+    // The booking part of the message is left out of retrieval
+    const query = this.rewriteQuery(message, planSteps);
+
     // Execute both in parallel
     const [knowledgeResult, scheduleResult] = await Promise.all([
       (async () => {
         const retrieveStart = process.hrtime.bigint();
-        const answer = await this.knowledgeAPI.getKnowledgeAnswer(message);
+        const answer = await this.knowledgeAPI.getKnowledgeAnswer(message, {
+          filters: options.filters,
+          mode: options.mode,
+          query,
+          ranking: options.ranking
+        });
         const retrieveLatency = Number(process.hrtime.bigint() - retrieveStart) / 1000000;
 
         planSteps.push({
           step: 'retrieve_knowledge',
-          docs_found: answer.citations.length,
+          docs_found: answer.docs_found,
+          citations: answer.citations.length,
+          filters: options.filters || null,
+          answer_mode: answer.mode,
+          ranking: this.rankingStep(options.ranking),
+          sentence_scoring: this.sentenceScoringStep(answer),
+          confidence: answer.confidence,
+          confidence_signals: answer.confidence_signals || null,
+          answered: answer.answered,
+          cache: answer.cache || { type: 'miss' },
           latency_ms: Math.round(retrieveLatency)
         });
 
@@ -492,6 +591,9 @@ class Orchestrator {
     return {
       reply: replyParts.join(' '),
       citations,
+      confidence: knowledgeResult.confidence,
+      answered: knowledgeResult.answered,
+      ...(knowledgeResult.conflict && { conflict: knowledgeResult.conflict }),
       plan_steps: planSteps,
       tool_calls: toolCalls,
       latency_ms: Math.round(totalLatency)
@@ -1,44 +1,92 @@
-const { QdrantClient } = require('@qdrant/js-client-rest');
-const Redis = require('ioredis');
-const OpenAI = require('openai');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { v5: uuidv5 } = require('uuid');
 const natural = require('natural');
 const TfIdf = natural.TfIdf;
+const { createEmbeddingProvider } = require('./embeddings');
+const SectionChunker = require('./chunker');
+const Bm25Corpus = require('./bm25');
+const { createReranker } = require('./rerankers');
+const { createVectorStore } = require('./vector_stores');
+const { keyValueBackend, createKeyValueStore } = require('./kv_stores');
+const { toQdrantFilter, matchesFilters } = require('./filters');
+const { queryCacheKey, embeddingCacheKey } = require('./cache_keys');
+const { DEFAULT_TENANT, tenantRedisPrefix, tenantCollectionName, scopeKeys } = require('./tenants');
 require('dotenv').config();
 
+// Namespace for deterministic point ids (uuid v5 of "doc_id:chunk_index")
+const POINT_ID_NAMESPACE = '6f1c2b4e-3d5a-4c8e-9b7f-2a1d0e9c8b7a';
+
 class QdrantDao {
-  constructor() {
-    // Initialize Qdrant client
-    this.qdrant = new QdrantClient({
-      url: process.env.QDRANT_URL,
-      apiKey: process.env.QDRANT_API_KEY,
-    });
+  constructor(options = {}) {
+    // Vector store (VECTOR_STORE=qdrant|local): Qdrant server or the embedded file-backed store
+    this.vectorStore = options.vectorStore || createVectorStore();
 
-    // Initialize Redis client
-    this.redis = new Redis(process.env.REDIS_URL, {
-      retryDelayOnFailover: 100,
-      enableReadyCheck: false,
-      maxRetriesPerRequest: 3,
-    });
+    // Tenant: scopes the collection and every Redis key (the default tenant is unprefixed)
+    this.tenant = options.tenant || DEFAULT_TENANT;
 
-    // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+    // Key-value store (KV_STORE=redis|local) for caches, sessions and registries
+    const keyPrefix = tenantRedisPrefix(this.tenant);
+    this.kvStoreName = keyValueBackend();
+    this.redis = scopeKeys(createKeyValueStore({ backend: this.kvStoreName, keyPrefix }), keyPrefix);
+
+    // Initialize embedding provider (EMBEDDING_PROVIDER=openai|local); a running server switches
+    // to the embedder of the collection a reindex swaps in (see checkServedCollection)
+    this.configuredEmbedder = options.embedder || createEmbeddingProvider();
+    this.useEmbedder(this.configuredEmbedder);
+
+    this.collectionName = tenantCollectionName(this.tenant);
 
-    this.collectionName = 'fastlane_knowledge';
-    this.embeddingModel = 'text-embedding-3-small';
-    this.embeddingDimensions = 512; // Reduced for faster processing
+    // Section-aware chunking (CHUNK_MAX_TOKENS / CHUNK_OVERLAP_TOKENS)
+    this.chunker = options.chunker || new SectionChunker({
+      maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS || '512', 10),
+      overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS || '50', 10)
+    });
     
     // BM25 index for hybrid search
     this.tfidf = new TfIdf();
-    this.documentMap = new Map(); // Map point_id -> document
+    this.documentMap = new Map(); // Map tfidf index -> document
+    this.lexicalChunks = new Map(); // Map point_id -> chunk (source of truth for the TF-IDF index)
+    this.bm25Corpus = new Bm25Corpus(); // Sentence-level IDF / average length for answer scoring
+    this.lexicalRebuiltAt = null;
+    this.syncedEpoch = null; // kb:epoch the in-memory state reflects; other processes move it on
+    this.storeSync = null; // Catch-up in progress (shared by concurrent searches)
+    this.payloadIndexesReady = false;
+    this.activeCollection = null; // Versioned collection behind the collectionName alias
+    this.vectorSearchError = null; // { error, mismatch, at } while vector search is failing (see /health)
+
+    // Ingestion throughput: embedding requests in flight per batch, points per Qdrant upsert request
+    this.embeddingConcurrency = parseInt(process.env.EMBEDDING_CONCURRENCY || '4', 10);
+    this.upsertPageSize = parseInt(process.env.UPSERT_PAGE_SIZE || '64', 10);
+
+    // Retrieval: RRF constant for fusing BM25 and vector ranks, minimum cosine for vector hits
+    this.rrfK = parseInt(process.env.RRF_K || '60', 10);
+    this.vectorScoreThreshold = parseFloat(process.env.VECTOR_SCORE_THRESHOLD || '0.2');
+
+    // Ranking: fused candidates re-ranked (RERANKER) before MMR picks the final results
+    this.reranker = options.reranker || createReranker();
+    this.rerankDepth = parseInt(process.env.RERANK_DEPTH || '8', 10);
+    this.mmrLambda = parseFloat(process.env.MMR_LAMBDA || '0.5');
+
+    // Cache dependency sets outlive the longest cached answer
+    this.dependencyTTL = 3600;
+
+    // Effective-date handling: expired / not-yet-effective content is excluded or down-ranked
+    this.now = options.now || (() => new Date());
+    this.expiredContentPolicy = process.env.EXPIRED_CONTENT_POLICY || 'exclude'; // exclude | downrank
+    this.expiredScoreFactor = 0.5;
     
     // Deterministic random seed
     Math.seedrandom = require('seedrandom');
     this.rng = Math.seedrandom('fastlane-rag-42');
   }
 
+  // Embed queries and documents with this provider from now on
+  useEmbedder(embedder) {
+    this.embedder = embedder;
+    this.embeddingModel = embedder.model;
+    this.embeddingDimensions = embedder.dimensions;
+  }
+
   // High-resolution timer for latency tracking
   startTimer() {
     return process.hrtime.bigint();
@@ -48,7 +96,7 @@ class QdrantDao {
     return Number(process.hrtime.bigint() - startTime) / 1000000; // Convert to milliseconds
   }
 
-  // Generate embeddings using OpenAI with caching
+  // Generate embeddings using the configured provider with caching
   async generateEmbedding(text) {
     try {
       // Check cache first
@@ -57,14 +105,7 @@ class QdrantDao {
         return cached;
       }
 
-      // Generate new embedding with reduced dimensions for speed
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text,
-        dimensions: 512, // Reduced from 1536 for faster processing
-      });
-      
-      const embedding = response.data[0].embedding;
+      const embedding = await this.embedder.embed(text);
       
       // Cache the embedding asynchronously (don't wait)
       this.setCachedEmbedding(text, embedding).catch(() => {});
@@ -76,114 +117,904 @@ class QdrantDao {
     }
   }
 
-  // Chunk text into 512 token chunks
-  chunkText(text, maxTokens = 512) {
-    const words = text.split(' ');
-    const chunks = [];
-    let currentChunk = [];
-    let currentTokens = 0;
+  // Create the collection if it doesn't exist, and refuse to serve one built with another embedder
+  // (reads and writes go through the collectionName alias, so a reindex can swap versions underneath)
+  async ensureCollection() {
+    try {
+      let active = await this.resolveCollection();
 
-    for (const word of words) {
-      const wordTokens = Math.ceil(word.length / 4); // Rough token estimation
-      if (currentTokens + wordTokens > maxTokens && currentChunk.length > 0) {
-        chunks.push(currentChunk.join(' '));
-        currentChunk = [word];
-        currentTokens = wordTokens;
-      } else {
-        currentChunk.push(word);
-        currentTokens += wordTokens;
+      if (!active) {
+        const collection = await this.createCollectionVersion(1);
+        await this.switchAlias(collection);
+        active = { collection, version: 1, legacy: false };
+        console.log(`Created collection: ${collection} (alias ${this.collectionName})`);
+      }
+
+      await this.checkEmbeddingCompatibility(active);
+      this.activeCollection = active.collection;
+
+      if (!this.payloadIndexesReady) {
+        await this.ensurePayloadIndexes();
       }
+    } catch (error) {
+      console.error('Error ensuring collection:', error);
+      throw error;
+    }
+  }
+
+  // Versioned collections: <collectionName>.v<N> behind the alias collectionName
+  // (tenant ids cannot contain ".", so versions never collide with another tenant's collection)
+  versionCollectionName(version) {
+    return `${this.collectionName}.v${version}`;
+  }
+
+  // Version number of a versioned collection name (null for any other collection)
+  collectionVersion(collection) {
+    const prefix = `${this.collectionName}.v`;
+    return collection.startsWith(prefix) && /^\d+$/.test(collection.slice(prefix.length))
+      ? parseInt(collection.slice(prefix.length), 10)
+      : null;
+  }
+
+  // The collection behind collectionName: { collection, version, legacy }
+  // legacy = a plain collection created before versioning; null when neither exists
+  async resolveCollection() {
+    const { aliases } = await this.vectorStore.getAliases();
+    const alias = aliases.find(entry => entry.alias_name === this.collectionName);
+    if (alias) {
+      return { collection: alias.collection_name, version: this.collectionVersion(alias.collection_name), legacy: false };
     }
 
-    if (currentChunk.length > 0) {
-      chunks.push(currentChunk.join(' '));
+    const collections = await this.vectorStore.getCollections();
+    if (collections.collections.some(col => col.name === this.collectionName)) {
+      return { collection: this.collectionName, version: null, legacy: true };
     }
 
-    return chunks;
+    return null;
   }
 
-  // Create collection if it doesn't exist
-  async ensureCollection() {
-    try {
-      const collections = await this.qdrant.getCollections();
-      const exists = collections.collections.some(col => col.name === this.collectionName);
-      
-      if (!exists) {
-        await this.qdrant.createCollection(this.collectionName, {
-          vectors: {
-            size: this.embeddingDimensions,
-            distance: 'Cosine'
-          }
+  // Throw when the served collection's vectors come from a different embedder than the configured one
+  async checkEmbeddingCompatibility(active) {
+    const info = await this.vectorStore.getCollection(active.collection);
+    const dimensions = info.config.params.vectors.size;
+    const record = active.version !== null ? await this.getCollectionVersion(active.version) : null;
+
+    const problems = [];
+    if (dimensions !== this.embeddingDimensions) {
+      problems.push(`${dimensions}-dimension vectors but EMBEDDING_DIMENSIONS is ${this.embeddingDimensions}`);
+    }
+    if (record && record.embedding_model && record.embedding_model !== this.embeddingModel) {
+      problems.push(`embeddings from ${record.embedding_model} but the configured model is ${this.embeddingModel}`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Collection ${active.collection} has ${problems.join(' and ')}. ` +
+        'Run "npm run reindex" to rebuild it with the new embedder (or restore the previous embedding settings).');
+    }
+  }
+
+  // Create an empty versioned collection and record which embedder fills it
+  // options.dimensions / model describe a copy of existing vectors (defaults: the configured embedder)
+  async createCollectionVersion(version, options = {}) {
+    const collection = this.versionCollectionName(version);
+    const dimensions = options.dimensions || this.embeddingDimensions;
+
+    await this.vectorStore.createCollection(collection, {
+      vectors: {
+        size: dimensions,
+        distance: 'Cosine'
+      }
+    });
+    await this.ensurePayloadIndexes(collection);
+
+    await this.saveCollectionVersion({
+      version,
+      collection,
+      embedding_provider: options.model === undefined ? this.embedder.name : null,
+      embedding_model: options.model === undefined ? this.embeddingModel : options.model,
+      embedding_dimensions: dimensions,
+      created_at: new Date().toISOString()
+    });
+
+    return collection;
+  }
+
+  // Point the alias at a collection in one atomic alias update
+  // (a legacy collection holding the alias name must be deleted first)
+  async switchAlias(collection) {
+    const { aliases } = await this.vectorStore.getAliases();
+    const actions = aliases.some(entry => entry.alias_name === this.collectionName)
+      ? [{ delete_alias: { alias_name: this.collectionName } }]
+      : [];
+    actions.push({ create_alias: { alias_name: this.collectionName, collection_name: collection } });
+
+    await this.vectorStore.updateCollectionAliases({ actions });
+    this.activeCollection = collection;
+  }
+
+  // Version records in Redis (kb:version:<N> + kb:versions index)
+  async saveCollectionVersion(record) {
+    await this.redis.set(`kb:version:${record.version}`, JSON.stringify(record));
+    await this.redis.sadd('kb:versions', record.version);
+  }
+
+  async getCollectionVersion(version) {
+    const data = await this.redis.get(`kb:version:${version}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async deleteCollectionVersion(version) {
+    await this.redis.del(`kb:version:${version}`);
+    await this.redis.srem('kb:versions', version);
+  }
+
+  // Delete the alias, every version and any legacy collection (reset, tenant deletion)
+  async dropCollections() {
+    const { aliases } = await this.vectorStore.getAliases();
+    if (aliases.some(entry => entry.alias_name === this.collectionName)) {
+      await this.vectorStore.updateCollectionAliases({ actions: [{ delete_alias: { alias_name: this.collectionName } }] });
+    }
+
+    const collections = await this.vectorStore.getCollections();
+    const dropped = collections.collections
+      .map(col => col.name)
+      .filter(name => name === this.collectionName || this.collectionVersion(name) !== null);
+    for (const name of dropped) {
+      await this.vectorStore.deleteCollection(name);
+    }
+
+    const versions = await this.redis.smembers('kb:versions');
+    for (const version of versions) {
+      await this.deleteCollectionVersion(version);
+    }
+
+    this.activeCollection = null;
+    this.payloadIndexesReady = false;
+    return dropped;
+  }
+
+  // Keyword indexes for the payload fields we filter on (idempotent in Qdrant)
+  async ensurePayloadIndexes(collection = this.collectionName) {
+    const indexes = [
+      ['doc_id', 'keyword'],
+      ['content_hash', 'keyword'],
+      ['tags', 'keyword'],
+      ['effective_from_ts', 'integer'],
+      ['effective_until_ts', 'integer']
+    ];
+
+    for (const [fieldName, fieldSchema] of indexes) {
+      try {
+        await this.vectorStore.createPayloadIndex(collection, {
+          field_name: fieldName,
+          field_schema: fieldSchema,
+          wait: true
         });
-        console.log(`Created collection: ${this.collectionName}`);
+      } catch (error) {
+        console.error(`Error creating payload index on ${fieldName}:`, error.message);
+        return;
+      }
+    }
+    if (collection === this.collectionName) {
+      this.payloadIndexesReady = true;
+    }
+  }
+
+  // Deterministic point id so re-ingesting a document overwrites its chunks in place
+  pointId(docId, chunkIndex) {
+    return uuidv5(`${docId}:${chunkIndex}`, POINT_ID_NAMESPACE);
+  }
+
+  // Hash of everything that affects a document's chunks and payloads (incl. chunker settings)
+  contentHash(doc) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({
+        text: doc.text,
+        tags: doc.tags || [],
+        metadata: doc.metadata || {},
+        effective_from: doc.effective_from || null,
+        effective_until: doc.effective_until || null,
+        sections: doc.sections || {},
+        chunking: [this.chunker.maxTokens, this.chunker.overlapTokens]
+      }))
+      .digest('hex');
+  }
+
+  // Effective window for a chunk: section-level dates override document-level ones
+  effectiveWindow(doc, section) {
+    const sectionDates = (section && doc.sections && doc.sections[section]) || {};
+    const from = sectionDates.effective_from || doc.effective_from || null;
+    const until = sectionDates.effective_until || doc.effective_until || null;
+
+    return {
+      effective_from: from ? new Date(from).toISOString() : null,
+      effective_until: until ? new Date(until).toISOString() : null,
+      effective_from_ts: from ? new Date(from).getTime() : null,
+      effective_until_ts: until ? new Date(until).getTime() : null
+    };
+  }
+
+  // 'active', 'expired' or 'pending' (not yet effective) relative to the clock
+  effectiveStatus(payload, now = this.now()) {
+    const time = now.getTime();
+    if (payload.effective_until_ts && payload.effective_until_ts < time) {
+      return 'expired';
+    }
+    if (payload.effective_from_ts && payload.effective_from_ts > time) {
+      return 'pending';
+    }
+    return 'active';
+  }
+
+  // Qdrant condition that drops content outside its effective window (exclude policy only)
+  effectiveFilter(filter) {
+    if (this.expiredContentPolicy !== 'exclude') {
+      return filter;
+    }
+
+    const time = this.now().getTime();
+    return {
+      ...(filter || {}),
+      must_not: [
+        ...((filter && filter.must_not) || []),
+        { key: 'effective_until_ts', range: { lt: time } },
+        { key: 'effective_from_ts', range: { gt: time } }
+      ]
+    };
+  }
+
+  // Exclude or down-rank results outside their effective window
+  applyEffectiveWindow(results) {
+    const now = this.now();
+
+    return results
+      .map(result => ({ result, status: this.effectiveStatus(result.payload, now) }))
+      .filter(({ status }) => status === 'active' || this.expiredContentPolicy === 'downrank')
+      .map(({ result, status }) => status === 'active'
+        ? result
+        : { ...result, score: result.score * this.expiredScoreFactor, effective_status: status })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Content hash currently stored for a document (null if not ingested)
+  async getStoredContentHash(docId) {
+    const page = await this.vectorStore.scroll(this.collectionName, {
+      filter: { must: [{ key: 'doc_id', match: { value: docId } }] },
+      limit: 1,
+      with_payload: ['content_hash'],
+      with_vector: false
+    });
+
+    if (page.points.length === 0) {
+      return null;
+    }
+
+    // Chunks written before content hashing have no hash - treat as changed
+    return page.points[0].payload.content_hash || '';
+  }
+
+  // True when a document has exactly the expected chunks and all carry this content hash
+  async isDocumentComplete(docId, hash, expectedChunks) {
+    const docFilter = { key: 'doc_id', match: { value: docId } };
+    const [current, stale] = await Promise.all([
+      this.vectorStore.count(this.collectionName, {
+        filter: { must: [docFilter, { key: 'content_hash', match: { value: hash } }] },
+        exact: true
+      }),
+      this.vectorStore.count(this.collectionName, {
+        filter: { must: [docFilter], must_not: [{ key: 'content_hash', match: { value: hash } }] },
+        exact: true
+      })
+    ]);
+
+    return current.count === expectedChunks && stale.count === 0;
+  }
+
+  // Embed texts with at most embeddingConcurrency requests in flight (results keep input order)
+  async embedTexts(texts) {
+    const embeddings = new Array(texts.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < texts.length) {
+        const i = next++;
+        embeddings[i] = await this.generateEmbedding(texts[i]);
+      }
+    };
+
+    const workers = Math.max(1, Math.min(this.embeddingConcurrency, texts.length));
+    await Promise.all(Array.from({ length: workers }, worker));
+    return embeddings;
+  }
+
+  // Upsert points in pages of upsertPageSize
+  async upsertPoints(points, collection = this.collectionName) {
+    for (let i = 0; i < points.length; i += this.upsertPageSize) {
+      await this.vectorStore.upsert(collection, {
+        wait: true,
+        points: points.slice(i, i + this.upsertPageSize)
+      });
+    }
+  }
+
+  // Upsert documents keyed on doc_id, replacing each changed document's chunks in both indexes:
+  // the new chunks of every changed document are embedded together (at most embeddingConcurrency
+  // requests in flight) and written with one upsertPoints call, then stale chunks are dropped
+  // options.rebuildLexical = false defers the TF-IDF/BM25 rebuild to the caller (bulk ingestion)
+  // options.storedHashes (doc_id -> hash or null) stands in for the stored hash of a document
+  // A failure carries error.partial = { summary, storedHashes }: the documents already recorded
+  // and the hashes read before anything was written (to retry the rest one by one)
+  async upsertDocuments(documents, options = {}) {
+    const summary = { added: [], updated: [], unchanged: [], chunk_count: 0 };
+    const storedHashes = new Map();
+
+    try {
+      await this.ensureCollection();
+
+      // Last occurrence wins when a batch repeats a doc_id
+      const byId = new Map();
+      for (const doc of documents) {
+        byId.set(doc.id, doc);
+      }
+
+      const changed = [];
+      for (const doc of byId.values()) {
+        const hash = this.contentHash(doc);
+        const storedHash = options.storedHashes && options.storedHashes.has(doc.id)
+          ? options.storedHashes.get(doc.id)
+          : await this.getStoredContentHash(doc.id);
+        storedHashes.set(doc.id, storedHash);
+
+        const chunks = this.chunker.chunk(doc.text);
+
+        // Same hash AND every chunk written: an interrupted upsert leaves a partial set behind
+        if (storedHash === hash && await this.isDocumentComplete(doc.id, hash, chunks.length)) {
+          summary.unchanged.push(doc.id);
+          continue;
+        }
+        changed.push({ doc, hash, storedHash, chunks });
+      }
+
+      if (changed.length > 0) {
+        const ingestedAt = new Date().toISOString();
+        const embeddings = await this.embedTexts(changed.flatMap(({ chunks }) => chunks.map(chunk => chunk.text)));
+
+        let offset = 0;
+        for (const entry of changed) {
+          const vectors = embeddings.slice(offset, offset += entry.chunks.length);
+          entry.points = this.documentPoints(entry.doc, { hash: entry.hash, ingestedAt, chunks: entry.chunks }, vectors);
+        }
+        await this.upsertPoints(changed.flatMap(entry => entry.points));
+
+        for (const { doc, hash, storedHash, points } of changed) {
+          await this.deleteStaleChunks(doc.id, hash);
+          await this.recordDocumentWrite({
+            id: doc.id,
+            text: doc.text,
+            tags: doc.tags || [],
+            metadata: doc.metadata || {},
+            effective_from: doc.effective_from || null,
+            effective_until: doc.effective_until || null,
+            sections: doc.sections || {},
+            content_hash: hash,
+            chunk_count: points.length,
+            ingested_at: ingestedAt
+          }, points, storedHash);
+
+          (storedHash === null ? summary.added : summary.updated).push(doc.id);
+          summary.chunk_count += points.length;
+        }
       }
+
+      if ((summary.added.length > 0 || summary.updated.length > 0) && options.rebuildLexical !== false) {
+        this.rebuildTfIdf();
+      }
+
+      return summary;
     } catch (error) {
-      console.error('Error ensuring collection:', error);
+      console.error('Error upserting documents:', error);
+      error.partial = { summary, storedHashes };
       throw error;
     }
   }
 
-  // Upsert documents to Qdrant with BM25 indexing
-  async upsertDocuments(documents) {
+  // Write an exported document verbatim: its archived chunk payloads and vectors, without re-embedding
+  // (chunks: [{ payload, vector }]; the caller rebuilds the TF-IDF index)
+  // Returns 'added', 'updated' or 'unchanged'
+  async importDocument(record, chunks) {
+    const hash = record.content_hash;
+    const storedHash = await this.getStoredContentHash(record.id);
+
+    if (storedHash === hash && await this.isDocumentComplete(record.id, hash, chunks.length)) {
+      return 'unchanged';
+    }
+
+    const points = chunks.map(chunk => ({
+      id: this.pointId(record.id, chunk.payload.chunk_index),
+      vector: chunk.vector,
+      payload: { ...chunk.payload, doc_id: record.id, content_hash: hash }
+    }));
+
+    await this.upsertPoints(points);
+    await this.deleteStaleChunks(record.id, hash);
+
+    await this.recordDocumentWrite(record, points, storedHash);
+    return storedHash === null ? 'added' : 'updated';
+  }
+
+  // After a document's chunks are written: lexical index entries, source registry (documents
+  // without source text are not registered) and cache invalidation
+  async recordDocumentWrite(record, points, storedHash) {
+    this.removeLexicalDocument(record.id);
+    for (const point of points) {
+      this.lexicalChunks.set(point.id, this.toLexicalChunk(point.id, point.payload));
+    }
+
+    if (typeof record.text === 'string') {
+      await this.saveSourceDocument(record);
+    }
+
+    // New or changed content may answer questions whose cached answers came from other documents
+    // (a policy moved into this one), so it starts a new epoch; rewriting the same content (chunks
+    // missing after an interrupted upsert) only affects what used the document
+    if (storedHash !== record.content_hash) {
+      await this.bumpCacheEpoch();
+    } else {
+      await this.invalidateDocumentCaches(record.id);
+    }
+  }
+
+  // Embed a document's chunks and write them to a collection (the alias by default, a new version
+  // during a reindex), then drop any stale chunks left from an older version of the document
+  async writeDocument(doc, { hash, ingestedAt, chunks = this.chunker.chunk(doc.text), collection = this.collectionName }) {
+    const embeddings = await this.embedTexts(chunks.map(chunk => chunk.text));
+    const points = this.documentPoints(doc, { hash, ingestedAt, chunks }, embeddings);
+
+    // Overwrite chunks in place (in pages), then delete the rest
+    await this.upsertPoints(points, collection);
+    await this.deleteStaleChunks(doc.id, hash, collection);
+
+    return points;
+  }
+
+  // A document's chunks as points (embeddings in chunk order)
+  documentPoints(doc, { hash, ingestedAt, chunks }, embeddings) {
+    return chunks.map((chunk, i) => ({
+      id: this.pointId(doc.id, i),
+      vector: embeddings[i],
+      payload: {
+        text: chunk.text,
+        doc_id: doc.id,
+        chunk_index: i,
+        section: chunk.section,
+        tags: doc.tags || [],
+        metadata: doc.metadata || {},
+        ...this.effectiveWindow(doc, chunk.section),
+        content_hash: hash,
+        ingested_at: ingestedAt
+      }
+    }));
+  }
+
+  // Delete a document's chunks from older versions of it (any other content hash)
+  async deleteStaleChunks(docId, hash, collection = this.collectionName) {
+    await this.vectorStore.delete(collection, {
+      wait: true,
+      filter: {
+        must: [{ key: 'doc_id', match: { value: docId } }],
+        must_not: [{ key: 'content_hash', match: { value: hash } }]
+      }
+    });
+  }
+
+  // Upsert documents from an (async) iterable in batches, so large files are never held in memory
+  // options.onBatch(summarySoFar) is called after every batch
+  async upsertDocumentStream(documents, options = {}) {
+    const batchSize = options.batchSize || 50;
+    const summary = { document_count: 0, added: [], updated: [], unchanged: [], chunk_count: 0 };
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const result = await this.upsertDocuments(batch, { rebuildLexical: false });
+      summary.added.push(...result.added);
+      summary.updated.push(...result.updated);
+      summary.unchanged.push(...result.unchanged);
+      summary.chunk_count += result.chunk_count;
+      batch = [];
+      if (options.onBatch) options.onBatch(summary);
+    };
+
     try {
-      await this.ensureCollection();
-      
-      const points = [];
-      let chunkCount = 0;
+      for await (const doc of documents) {
+        batch.push(doc);
+        summary.document_count++;
+        if (batch.length >= batchSize) {
+          await flush();
+        }
+      }
+      await flush();
+    } finally {
+      // Rebuild once for the whole stream (also after a failed batch, for what was written)
+      if (summary.document_count > summary.unchanged.length) {
+        this.rebuildTfIdf();
+      }
+    }
 
-      // Clear existing BM25 index
-      this.tfidf = new TfIdf();
-      this.documentMap.clear();
+    return summary;
+  }
 
-      for (const doc of documents) {
-        const chunks = this.chunkText(doc.text);
-        
-        for (let i = 0; i < chunks.length; i++) {
-          const chunk = chunks[i];
-          const embedding = await this.generateEmbedding(chunk);
-          const pointId = uuidv4();
-          
-          points.push({
-            id: pointId,
-            vector: embedding,
-            payload: {
-              text: chunk,
-              doc_id: doc.id,
-              chunk_index: i,
-              tags: doc.tags || [],
-              // original_text: doc.text
-            }
-          });
-          
-          // Index for BM25
-          this.tfidf.addDocument(chunk);
-          this.documentMap.set(chunkCount, {
-            id: pointId,
-            text: chunk,
-            doc_id: doc.id,
-            chunk_index: i
+  // Source document registry in Redis (kbdoc:<doc_id> + kbdocs:all index)
+  async saveSourceDocument(record) {
+    await this.redis.set(`kbdoc:${record.id}`, JSON.stringify(record));
+    await this.redis.sadd('kbdocs:all', record.id);
+  }
+
+  async getSourceDocument(docId) {
+    try {
+      const data = await this.redis.get(`kbdoc:${docId}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error getting source document:', error);
+      return null;
+    }
+  }
+
+  async deleteSourceDocument(docId) {
+    await this.redis.del(`kbdoc:${docId}`);
+    await this.redis.srem('kbdocs:all', docId);
+  }
+
+  // Scroll every point matching a filter (payload only unless withVector)
+  async scrollAll(filter, withPayload = true, pageSize = 256, withVector = false) {
+    const points = [];
+    let offset = undefined;
+
+    do {
+      const page = await this.vectorStore.scroll(this.collectionName, {
+        filter,
+        limit: pageSize,
+        offset,
+        with_payload: withPayload,
+        with_vector: withVector
+      });
+
+      points.push(...page.points);
+      offset = page.next_page_offset;
+    } while (offset !== null && offset !== undefined);
+
+    return points;
+  }
+
+  // List ingested documents with chunk counts, tags and ingest time
+  async listDocuments() {
+    try {
+      const points = await this.scrollAll(undefined, ['doc_id', 'tags', 'metadata', 'ingested_at']);
+      const documents = new Map();
+
+      for (const point of points) {
+        const { doc_id: docId, tags, metadata, ingested_at: ingestedAt } = point.payload;
+        if (!documents.has(docId)) {
+          documents.set(docId, {
+            doc_id: docId,
+            chunk_count: 0,
+            tags: tags || [],
+            metadata: metadata || {},
+            ingested_at: ingestedAt || null
           });
-          
-          chunkCount++;
         }
+        documents.get(docId).chunk_count++;
       }
 
-      await this.qdrant.upsert(this.collectionName, {
-        wait: true,
-        points: points
-      });
+      return Array.from(documents.values()).sort((a, b) => String(a.doc_id).localeCompare(String(b.doc_id)));
+    } catch (error) {
+      console.error('Error listing documents:', error);
+      throw error;
+    }
+  }
 
-      return chunkCount;
+  // Get one document with its chunks (null if it is not in the collection)
+  async getDocument(docId) {
+    try {
+      const points = await this.scrollAll({ must: [{ key: 'doc_id', match: { value: docId } }] });
+
+      if (points.length === 0) {
+        return null;
+      }
+
+      const chunks = points
+        .map(point => ({
+          id: point.id,
+          chunk_index: point.payload.chunk_index,
+          section: point.payload.section || null,
+          text: point.payload.text
+        }))
+        .sort((a, b) => a.chunk_index - b.chunk_index);
+
+      const first = points[0].payload;
+      const source = await this.getSourceDocument(docId);
+
+      return {
+        doc_id: docId,
+        text: source ? source.text : null, // null when ingested before the source registry existed
+        tags: first.tags || [],
+        metadata: first.metadata || {},
+        content_hash: first.content_hash || null,
+        ingested_at: first.ingested_at || null,
+        chunk_count: chunks.length,
+        chunks
+      };
     } catch (error) {
-      console.error('Error upserting documents:', error);
+      console.error('Error getting document:', error);
+      throw error;
+    }
+  }
+
+  // Remove one document from the vector store, the BM25 index and the query cache
+  async deleteDocument(docId) {
+    try {
+      const filter = { must: [{ key: 'doc_id', match: { value: docId } }] };
+      const { count } = await this.vectorStore.count(this.collectionName, { filter, exact: true });
+
+      if (count > 0) {
+        await this.vectorStore.delete(this.collectionName, { wait: true, filter });
+      }
+
+      this.removeLexicalDocument(docId);
+      this.rebuildTfIdf();
+      await this.deleteSourceDocument(docId);
+      const invalidated = await this.invalidateDocumentCaches(docId);
+
+      return {
+        ok: count > 0,
+        doc_id: docId,
+        deleted_chunks: count,
+        invalidated_answers: invalidated.answers,
+        invalidated_search_results: invalidated.search_results
+      };
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      throw error;
+    }
+  }
+
+  // Lexical index entry for a stored point
+  toLexicalChunk(pointId, payload) {
+    return {
+      id: pointId,
+      text: payload.text,
+      doc_id: payload.doc_id,
+      chunk_index: payload.chunk_index,
+      section: payload.section || null,
+      tags: payload.tags || [],
+      metadata: payload.metadata || {},
+      effective_from: payload.effective_from || null,
+      effective_until: payload.effective_until || null,
+      effective_from_ts: payload.effective_from_ts || null,
+      effective_until_ts: payload.effective_until_ts || null
+    };
+  }
+
+  // Drop every chunk of a document from the lexical map (call rebuildTfIdf afterwards)
+  removeLexicalDocument(docId) {
+    for (const [pointId, chunk] of this.lexicalChunks) {
+      if (chunk.doc_id === docId) {
+        this.lexicalChunks.delete(pointId);
+      }
+    }
+  }
+
+  // Recreate the TF-IDF index and BM25 corpus stats from the chunk map (natural's TfIdf cannot remove documents)
+  rebuildTfIdf() {
+    const tfidf = new TfIdf();
+    const documentMap = new Map();
+
+    for (const chunk of this.lexicalChunks.values()) {
+      tfidf.addDocument(chunk.text);
+      documentMap.set(documentMap.size, chunk);
+    }
+
+    this.tfidf = tfidf;
+    this.documentMap = documentMap;
+    this.bm25Corpus = new Bm25Corpus().build(Array.from(this.lexicalChunks.values(), chunk => chunk.text));
+  }
+
+  // Rebuild the in-memory BM25 index by scrolling every point in the collection
+  async rebuildLexicalIndex(pageSize = 256) {
+    try {
+      const startTime = this.startTimer();
+      const lexicalChunks = new Map();
+      const epoch = await this.getCacheEpoch(); // Writes from now on move it again
+      let offset = undefined;
+
+      do {
+        const page = await this.vectorStore.scroll(this.collectionName, {
+          limit: pageSize,
+          offset,
+          with_payload: true,
+          with_vector: false
+        });
+
+        for (const point of page.points) {
+          if (!point.payload || !point.payload.text) continue;
+          lexicalChunks.set(point.id, this.toLexicalChunk(point.id, point.payload));
+        }
+
+        offset = page.next_page_offset;
+      } while (offset !== null && offset !== undefined);
+
+      // Swap in the new index only once it is complete
+      this.lexicalChunks = lexicalChunks;
+      this.rebuildTfIdf();
+      this.lexicalRebuiltAt = new Date().toISOString();
+      this.syncedEpoch = epoch;
+
+      console.log(`BM25 index rebuilt from ${this.collectionName}: ${lexicalChunks.size} chunks in ${Math.round(this.endTimer(startTime))}ms`);
+      return lexicalChunks.size;
+    } catch (error) {
+      console.error('Error rebuilding BM25 index:', error);
       throw error;
     }
   }
 
+  // Catch up after another process moved kb:epoch (the ingest or import CLI, a reindex or rollback):
+  // re-resolve the alias, then rebuild the BM25 index; concurrent searches wait for the same sync
+  syncWithStore() {
+    if (!this.storeSync) {
+      this.storeSync = (async () => {
+        await this.checkServedCollection();
+        await this.rebuildLexicalIndex();
+      })().finally(() => {
+        this.storeSync = null;
+      });
+    }
+    return this.storeSync;
+  }
+
+  // Follow an alias swap. When the new collection was built with another embedder, queries and
+  // writes switch to the embedder its version record names, so a reindex needs no restart. If that
+  // embedder is unknown (a copy of a pre-versioning collection), vector search is switched off with
+  // an error on the log and /health, and hybrid search runs on BM25 alone until a matching swap
+  async checkServedCollection() {
+    const active = await this.resolveCollection();
+    if (!active) {
+      return;
+    }
+
+    if (active.collection !== this.activeCollection) {
+      console.log(`${this.collectionName} now serves ${active.collection} (was ${this.activeCollection})`);
+      this.activeCollection = active.collection;
+    }
+
+    try {
+      await this.checkEmbeddingCompatibility(active);
+    } catch (error) {
+      const embedder = await this.collectionEmbedder(active);
+      if (!embedder) {
+        console.error(`Vector search disabled: ${error.message}`);
+        this.vectorSearchError = { error: error.message, mismatch: true, at: new Date().toISOString() };
+        return;
+      }
+      console.log(`${active.collection} was built with ${embedder.model} (${embedder.dimensions} dimensions): switching to it`);
+      this.useEmbedder(embedder);
+    }
+
+    if (this.vectorSearchError && this.vectorSearchError.mismatch) {
+      console.log(`Vector search re-enabled: ${active.collection} matches ${this.embeddingModel}`);
+      this.vectorSearchError = null;
+    }
+  }
+
+  // Embedder that built a versioned collection, from its version record (null when not recorded)
+  // Records written before the provider was recorded are matched on the model name
+  async collectionEmbedder(active) {
+    const record = active.version !== null ? await this.getCollectionVersion(active.version) : null;
+    if (!record || !record.embedding_model) {
+      return null;
+    }
+
+    const { embedding_model: model, embedding_dimensions: dimensions } = record;
+    if (model === this.configuredEmbedder.model && dimensions === this.configuredEmbedder.dimensions) {
+      return this.configuredEmbedder;
+    }
+
+    const provider = record.embedding_provider || (model.startsWith('hashed-ngram') ? 'local' : 'openai');
+    try {
+      const embedder = createEmbeddingProvider({ provider, model, dimensions });
+      return embedder.model === model ? embedder : null;
+    } catch (error) {
+      return null; // Provider this version of the service doesn't know
+    }
+  }
+
+  // Vector side of hybrid search for /health: ok, or failing with the last error
+  // embedding_source: "settings" (EMBEDDING_*) or "collection" (switched to after an alias swap)
+  getVectorSearchStatus() {
+    return {
+      status: this.vectorSearchError ? 'failing' : 'ok',
+      active_collection: this.activeCollection,
+      embedding_model: this.embeddingModel,
+      embedding_dimensions: this.embeddingDimensions,
+      embedding_source: this.embedder === this.configuredEmbedder ? 'settings' : 'collection',
+      ...(this.vectorSearchError && { error: this.vectorSearchError.error, since: this.vectorSearchError.at })
+    };
+  }
+
+  // Lexical index size compared to the vector store, so degraded hybrid search is visible
+  getLexicalIndexStats(pointsCount = null) {
+    const chunks = this.tfidf.documents.length;
+    let status = 'ok';
+
+    if (pointsCount !== null && chunks < pointsCount) {
+      status = chunks === 0 ? 'empty' : 'partial';
+    }
+
+    return {
+      chunks,
+      points_count: pointsCount,
+      status,
+      rebuilt_at: this.lexicalRebuiltAt,
+      bm25_corpus: this.bm25Corpus.stats()
+    };
+  }
+
+  // Knowledge-base epoch: part of every query/answer cache key and bumped when documents
+  // are added (or the collection is reset), so earlier results become unreachable
+  async getCacheEpoch() {
+    try {
+      return parseInt(await this.redis.get('kb:epoch') || '0', 10);
+    } catch (error) {
+      console.error('Error getting cache epoch:', error);
+      return 0;
+    }
+  }
+
+  async bumpCacheEpoch() {
+    const epoch = await this.redis.incr('kb:epoch');
+    // This process's own change is already in its index; a gap means another process wrote too
+    if (this.syncedEpoch !== null && epoch === this.syncedEpoch + 1) {
+      this.syncedEpoch = epoch;
+    }
+    return epoch;
+  }
+
+  // Record that a cached entry was built from these documents (deps:doc:<doc_id> sets),
+  // so deleting one of them (or rewriting its missing chunks) drops exactly the entries that used it
+  async trackCacheDependencies(cacheKey, docIds) {
+    for (const docId of new Set(docIds)) {
+      await this.redis.sadd(`deps:doc:${docId}`, cacheKey);
+      await this.redis.expire(`deps:doc:${docId}`, this.dependencyTTL);
+    }
+  }
+
+  // Drop every cached search result and answer that depends on a document
+  async invalidateDocumentCaches(docId) {
+    try {
+      const keys = await this.redis.smembers(`deps:doc:${docId}`);
+      if (keys.length > 0) {
+        await this.redis.del(...keys);
+      }
+      await this.redis.del(`deps:doc:${docId}`);
+
+      const invalidated = {
+        search_results: keys.filter(key => key.startsWith('query:')).length,
+        answers: keys.filter(key => !key.startsWith('query:')).length
+      };
+      if (keys.length > 0) {
+        console.log(`Invalidated ${invalidated.answers} cached answers and ${invalidated.search_results} search results for ${docId}`);
+      }
+      return invalidated;
+    } catch (error) {
+      console.error('Error invalidating document caches:', error);
+      return { search_results: 0, answers: 0 };
+    }
+  }
+
   // Cache operations for query results
-  async getCachedResults(query) {
+  async getCachedResults(query, filters = null, epoch = 0, ranking = null) {
     try {
-      const cacheKey = `query:${Buffer.from(query).toString('base64')}`;
+      const cacheKey = queryCacheKey(query, filters, epoch, ranking);
       const cached = await this.redis.get(cacheKey);
       return cached ? JSON.parse(cached) : null;
     } catch (error) {
@@ -192,21 +1023,27 @@ class QdrantDao {
     }
   }
 
-  async setCachedResults(query, results) {
+  async setCachedResults(query, results, filters = null, epoch = 0, ranking = null) {
     try {
-      const cacheKey = `query:${Buffer.from(query).toString('base64')}`;
+      const cacheKey = queryCacheKey(query, filters, epoch, ranking);
       await this.redis.setex(cacheKey, 30, JSON.stringify(results)); // 30s LRU as per spec
+      await this.trackCacheDependencies(cacheKey, results.map(result => result.payload.doc_id));
     } catch (error) {
       console.error('Error setting cached results:', error);
     }
   }
 
-  // Cache embeddings for faster retrieval
+  // Cache embeddings for faster retrieval (keyed by model, dimensions and a hash of the exact text)
   async getCachedEmbedding(text) {
     try {
-      const cacheKey = `emb:${Buffer.from(text).toString('base64').slice(0, 100)}`;
-      const cached = await this.redis.get(cacheKey);
-      return cached ? JSON.parse(cached) : null;
+      const cached = await this.redis.get(embeddingCacheKey(text, this.embedder));
+      if (!cached) {
+        return null;
+      }
+
+      // Never hand back a vector of the wrong size
+      const embedding = JSON.parse(cached);
+      return embedding.length === this.embeddingDimensions ? embedding : null;
     } catch (error) {
       console.error('Error getting cached embedding:', error);
       return null;
@@ -215,8 +1052,7 @@ class QdrantDao {
 
   async setCachedEmbedding(text, embedding) {
     try {
-      const cacheKey = `emb:${Buffer.from(text).toString('base64').slice(0, 100)}`;
-      await this.redis.setex(cacheKey, 3600, JSON.stringify(embedding)); // 1 hour TTL
+      await this.redis.setex(embeddingCacheKey(text, this.embedder), 3600, JSON.stringify(embedding)); // 1 hour TTL
     } catch (error) {
       console.error('Error setting cached embedding:', error);
     }
@@ -244,41 +1080,171 @@ class QdrantDao {
   }
 
   // Hybrid search: BM25 + Vector (optimized with caching)
-  async searchDocuments(query, limit = 3) {
+  // options.filters: normalized filters from filters.normalizeFilters()
+  // options.k / rerankDepth / mmrLambda: per-request ranking (see rerankers.normalizeRankingOptions)
+  // options.cache: false searches without reading or writing the result cache (evaluation runs)
+  // options.explain: an object filled with every stage of the ranking (see explainSearch); the
+  // pipeline always runs and the cache is only checked for a hit, never written
+  async searchDocuments(query, limit = 3, options = {}) {
     try {
-      // Check cache first
-      const cached = await this.getCachedResults(query);
-      if (cached) {
+      const filters = options.filters || null;
+      const ranking = this.rankingOptions(limit, options);
+      const explain = options.explain || null;
+      const useCache = options.cache !== false;
+
+      // Check cache first (epoch read up front so results are never stored under a newer epoch)
+      const epoch = await this.getCacheEpoch();
+      if (epoch !== this.syncedEpoch) {
+        // Written to by another process since the last sync (errors are logged; the current state is used)
+        await this.syncWithStore().catch(() => {});
+      }
+      const cached = useCache && await this.getCachedResults(query, filters, epoch, ranking);
+      if (explain) {
+        explain.cache = {
+          query: { hit: Boolean(cached), epoch },
+          // Checked before the vector search, which caches the embedding on a miss
+          embedding: { hit: Boolean(await this.getCachedEmbedding(query)) }
+        };
+      } else if (cached) {
         return cached;
       }
 
-      // Parallel: BM25 lexical search + Vector ANN search
+      // Parallel: BM25 lexical search + Vector ANN search (each deep enough to fill the re-ranker)
+      const retrieveLimit = Math.max(8, ranking.rerankDepth);
       const [bm25Results, vectorResults] = await Promise.all([
-        this.bm25Search(query, 8),
-        this.vectorSearch(query, 8)
+        this.bm25Search(query, retrieveLimit, filters),
+        this.vectorSearch(query, retrieveLimit, filters)
       ]);
 
-      // Merge results using Reciprocal Rank Fusion (RRF)
-      const merged = this.mergeResults(bm25Results, vectorResults);
+      // Merge results using Reciprocal Rank Fusion (RRF), then drop/down-rank out-of-date content
+      const fused = this.mergeResults(bm25Results, vectorResults);
+      const merged = this.applyEffectiveWindow(fused);
       
-      // Take top 8 for MMR
-      const top8 = merged.slice(0, 8);
+      // Re-rank the top candidates for relevance (Top-N → re-rank → MMR → Top-k)
+      const reranked = await this.rerank(query, merged.slice(0, ranking.rerankDepth));
       
-      // Apply MMR for diversity (Top-8 → MMR → Top-3)
-      const top3 = this.applyMMR(top8, limit);
+      // Apply MMR for diversity
+      const mmrSteps = explain ? [] : null;
+      const results = this.applyMMR(reranked, ranking.k, ranking.mmrLambda, mmrSteps);
+
+      if (explain) {
+        Object.assign(explain, this.explainSearch({ ranking, bm25Results, vectorResults, fused, merged, reranked, mmrSteps }));
+        return results;
+      }
 
       // Cache results asynchronously
-      this.setCachedResults(query, top3).catch(() => {});
+      if (useCache) {
+        this.setCachedResults(query, results, filters, epoch, ranking).catch(() => {});
+      }
 
-      return top3;
+      return results;
     } catch (error) {
       console.error('Error searching documents:', error);
       throw error;
     }
   }
 
-  // BM25 lexical search
-  async bm25Search(query, limit) {
+  // Stage-by-stage account of one search, for POST /knowledge/search?explain=true
+  // (retriever hits with their raw scores, RRF ranks, effective-window drops, re-ranking and MMR selection)
+  explainSearch({ ranking, bm25Results, vectorResults, fused, merged, reranked, mmrSteps }) {
+    const hit = (result, rank) => ({ rank: rank + 1, id: result.id, doc_id: result.payload.doc_id, score: result.score });
+    const ranks = results => new Map(results.map((result, rank) => [result.id, rank + 1]));
+    const bm25Ranks = ranks(bm25Results);
+    const vectorRanks = ranks(vectorResults);
+    const kept = new Set(merged.map(result => result.id));
+
+    return {
+      ranking: {
+        reranker: this.reranker.name,
+        rerank_depth: ranking.rerankDepth,
+        mmr_lambda: ranking.mmrLambda,
+        k: ranking.k,
+        retrieve_limit: Math.max(8, ranking.rerankDepth)
+      },
+      bm25: {
+        scoring: 'tf-idf',
+        hits: bm25Results.map(hit)
+      },
+      vector: {
+        scoring: 'cosine',
+        score_threshold: this.vectorScoreThreshold,
+        hits: vectorResults.map(hit)
+      },
+      fusion: {
+        method: 'rrf',
+        rrf_k: this.rrfK,
+        results: fused.map((result, rank) => ({
+          rank: rank + 1,
+          id: result.id,
+          doc_id: result.payload.doc_id,
+          rrf_score: result.score,
+          bm25_rank: bm25Ranks.get(result.id) || null,
+          vector_rank: vectorRanks.get(result.id) || null
+        }))
+      },
+      effective_window: {
+        dropped: fused.filter(result => !kept.has(result.id)).map(result => result.id),
+        down_ranked: merged.filter(result => result.effective_status).map(result => ({ id: result.id, status: result.effective_status }))
+      },
+      rerank: {
+        results: reranked.map((result, rank) => ({
+          rank: rank + 1,
+          id: result.id,
+          doc_id: result.payload.doc_id,
+          score: result.score,
+          rerank_score: result.rerank_score,
+          rrf_score: result.rrf_score,
+          features: result.rerank_features || null
+        }))
+      },
+      mmr: {
+        // Empty when there were no more candidates than k (nothing to choose between)
+        selection: mmrSteps
+      }
+    };
+  }
+
+  // Per-request ranking options over the configured defaults ({ k, rerankDepth, mmrLambda })
+  // The re-ranker gets at least k candidates, so a k above RERANK_DEPTH still returns k results
+  rankingOptions(limit = 3, options = {}) {
+    const k = options.k || limit;
+    return {
+      k,
+      rerankDepth: Math.max(options.rerankDepth || this.rerankDepth, k),
+      mmrLambda: options.mmrLambda ?? this.mmrLambda
+    };
+  }
+
+  // Re-rank fused candidates; the RRF score is kept as rrf_score and the re-ranker's score
+  // becomes the relevance MMR works with (down-ranked content keeps its penalty).
+  // A failing re-ranker falls back to the fusion order.
+  async rerank(query, candidates) {
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    let scores;
+    try {
+      scores = await this.reranker.rerank(query, candidates);
+    } catch (error) {
+      console.error(`Re-ranker ${this.reranker.name} failed, keeping fusion order:`, error.message);
+      const max = candidates[0].score;
+      scores = candidates.map(candidate => ({ score: max > 0 ? candidate.score / max : 0 }));
+    }
+
+    return candidates
+      .map((candidate, i) => ({
+        ...candidate,
+        score: scores[i].score * (candidate.effective_status ? this.expiredScoreFactor : 1),
+        rrf_score: candidate.score,
+        rerank_score: scores[i].score,
+        ...(scores[i].features && { rerank_features: scores[i].features })
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // BM25 lexical search (filters applied to chunk payloads, mirroring the Qdrant filter)
+  async bm25Search(query, limit, filters = null) {
     try {
       if (this.tfidf.documents.length === 0) {
         return [];
@@ -286,16 +1252,12 @@ class QdrantDao {
 
       const results = [];
       this.tfidf.tfidfs(query, (i, measure) => {
-        if (measure > 0 && this.documentMap.has(i)) {
-          const doc = this.documentMap.get(i);
+        if (measure > 0 && this.documentMap.has(i) && matchesFilters(this.documentMap.get(i), filters)) {
+          const { id, ...payload } = this.documentMap.get(i);
           results.push({
-            id: doc.id,
+            id,
             score: measure,
-            payload: {
-              text: doc.text,
-              doc_id: doc.doc_id,
-              chunk_index: doc.chunk_index
-            }
+            payload
           });
         }
       });
@@ -308,29 +1270,39 @@ class QdrantDao {
     }
   }
 
-  // Vector ANN search
-  async vectorSearch(query, limit) {
+  // Vector ANN search (filters pushed down to the vector store as a payload filter)
+  async vectorSearch(query, limit, filters = null) {
+    if (this.vectorSearchError && this.vectorSearchError.mismatch) {
+      return []; // Query vectors can't be compared with the served ones (see checkServedCollection)
+    }
+
     try {
       const queryEmbedding = await this.generateEmbedding(query);
       
-      const searchResults = await this.qdrant.search(this.collectionName, {
+      const searchResults = await this.vectorStore.search(this.collectionName, {
         vector: queryEmbedding,
+        filter: this.effectiveFilter(toQdrantFilter(filters)),
         limit,
         with_payload: true,
         with_vector: false,
-        score_threshold: 0.2
+        score_threshold: this.vectorScoreThreshold
       });
 
+      this.vectorSearchError = null;
       return searchResults;
     } catch (error) {
+      // Searches go on with BM25 alone; the failure stays visible on /health until a search succeeds
       console.error('Error in vector search:', error);
+      this.vectorSearchError = { error: error.message, mismatch: false, at: new Date().toISOString() };
       return [];
     }
   }
 
   // Merge BM25 and Vector results using Reciprocal Rank Fusion
+  // The raw per-retriever scores are kept (vector_score = cosine, bm25_score = TF-IDF measure)
+  // because the fused RRF score only carries rank information
   mergeResults(bm25Results, vectorResults) {
-    const k = 60; // RRF parameter
+    const k = this.rrfK; // RRF parameter
     const scoreMap = new Map();
 
     // Add BM25 scores
@@ -339,6 +1311,8 @@ class QdrantDao {
       const rrfScore = 1 / (k + rank + 1);
       scoreMap.set(key, {
         score: rrfScore,
+        vectorScore: null,
+        bm25Score: result.score,
         result
       });
     });
@@ -349,9 +1323,12 @@ class QdrantDao {
       const rrfScore = 1 / (k + rank + 1);
       if (scoreMap.has(key)) {
         scoreMap.get(key).score += rrfScore;
+        scoreMap.get(key).vectorScore = result.score;
       } else {
         scoreMap.set(key, {
           score: rrfScore,
+          vectorScore: result.score,
+          bm25Score: null,
           result
         });
       }
@@ -362,39 +1339,55 @@ class QdrantDao {
       .sort((a, b) => b.score - a.score)
       .map(item => ({
         ...item.result,
-        score: item.score
+        score: item.score,
+        vector_score: item.vectorScore,
+        bm25_score: item.bm25Score
       }));
 
     return merged;
   }
 
   // Maximal Marginal Relevance algorithm (text-based for speed)
-  applyMMR(results, finalLimit, lambda = 0.5) {
+  // Each selected result records its mmr_score (null when there was nothing to choose between);
+  // steps, when given, collects each pick with its relevance and similarity penalty
+  applyMMR(results, finalLimit, lambda = 0.5, steps = null) {
     if (results.length <= finalLimit) {
-      return results;
+      return results.map(result => ({ ...result, mmr_score: null }));
     }
 
     const selected = [];
     const remaining = [...results];
     
     // Select first result (highest relevance score)
-    selected.push(remaining.shift());
+    selected.push({ ...remaining.shift(), mmr_score: lambda * results[0].score });
+    if (steps) {
+      steps.push({
+        order: 1, id: results[0].id, relevance: results[0].score,
+        max_similarity: 0, similar_to: null, penalty: 0, mmr_score: selected[0].mmr_score
+      });
+    }
 
     while (selected.length < finalLimit && remaining.length > 0) {
       let bestIndex = 0;
       let bestScore = -Infinity;
+      let bestSimilarity = 0;
+      let bestSimilarTo = null;
 
       for (let i = 0; i < remaining.length; i++) {
         const candidate = remaining[i];
         
         // Calculate max similarity to already selected items (text-based)
         let maxSimilarity = 0;
+        let similarTo = null;
         for (const selectedItem of selected) {
           const similarity = this.textSimilarity(
             candidate.payload.text,
             selectedItem.payload.text
           );
-          maxSimilarity = Math.max(maxSimilarity, similarity);
+          if (similarity > maxSimilarity || similarTo === null) {
+            maxSimilarity = similarity;
+            similarTo = selectedItem.id;
+          }
         }
 
         // MMR score: λ * relevance - (1-λ) * max_similarity
@@ -403,10 +1396,19 @@ class QdrantDao {
         if (mmrScore > bestScore) {
           bestScore = mmrScore;
           bestIndex = i;
+          bestSimilarity = maxSimilarity;
+          bestSimilarTo = similarTo;
         }
       }
 
-      selected.push(remaining.splice(bestIndex, 1)[0]);
+      const pick = remaining.splice(bestIndex, 1)[0];
+      selected.push({ ...pick, mmr_score: bestScore });
+      if (steps) {
+        steps.push({
+          order: selected.length, id: pick.id, relevance: pick.score, max_similarity: bestSimilarity,
+          similar_to: bestSimilarTo, penalty: (1 - lambda) * bestSimilarity, mmr_score: bestScore
+        });
+      }
     }
 
     return selected;
@@ -473,11 +1475,27 @@ class QdrantDao {
   // Reset collection - delete all documents
   async resetCollection() {
     try {
-      // Delete the entire collection
-      await this.qdrant.deleteCollection(this.collectionName);
-      console.log(`Collection ${this.collectionName} deleted successfully`);
+      // Delete every version (a reset is not something to roll back to)
+      const dropped = await this.dropCollections();
+      console.log(`Collection ${this.collectionName} deleted successfully (${dropped.length} collections)`);
+
+      // Drop the BM25 index and source documents with it
+      this.lexicalChunks.clear();
+      this.rebuildTfIdf();
+      const docIds = await this.redis.smembers('kbdocs:all');
+      if (docIds.length > 0) {
+        await this.redis.del(...docIds.map(id => `kbdoc:${id}`));
+      }
+      await this.redis.del('kbdocs:all');
+
+      // Every cached result and answer is now stale
+      await this.bumpCacheEpoch();
+      const dependencyKeys = await this.redis.keys('deps:doc:*');
+      if (dependencyKeys.length > 0) {
+        await this.redis.del(...dependencyKeys);
+      }
       
-      // Recreate the collection
+      // Recreate the collection (and its payload indexes)
       await this.ensureCollection();
       console.log(`Collection ${this.collectionName} recreated successfully`);
       
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const path = require('path');
+const chrono = require('chrono-node');
+const natural = require('natural');
+
+const stopwords = new Set(natural.stopwords);
+
+const DEFAULT_DICTIONARY_PATH = path.join(__dirname, '..', 'config', 'synonyms.json');
+
+// Mixed messages are split into clauses on punctuation and conjunctions
+const CLAUSE_SEPARATOR = /[,.;!?]+|\s+(?:and|also|then|plus)\s+/i;
+// A clause that asks to book/move an appointment (it only counts with a date or time in it)
+const BOOKING_CLAUSE = /^(?:(?:please|pls|can you|could you|can i|could i|i want to|i'd like to|i need to|help me|let's)\s+)*(?:book|schedule|reschedule|rebook|make (?:an|a|it|the)|move (?:it|my|the)|change (?:it|my|the)|set up)\b/i;
+const WORD = /[a-z0-9]+(?:['-][a-z0-9]+)*/g;
+
+/**
+ * Query understanding before retrieval
+ * Rewrites a patient message into the words the knowledge base uses:
+ *   1. booking clauses ("book Rivera for 2pm") are removed from mixed messages
+ *   2. abbreviations are expanded in place ("appt" -> "appointment")
+ *   3. misspellings are corrected against the corpus vocabulary ("insurnce" -> "insurance")
+ *   4. domain synonyms are appended ("copay" -> + "payment", "tardy" -> + "late")
+ * Abbreviations and synonyms come from config/synonyms.json (SYNONYMS_PATH).
+ */
+class QueryRewriter {
+  constructor(qdrantDao, options = {}) {
+    this.qdrantDao = qdrantDao;
+    this.enabled = options.enabled ?? process.env.QUERY_REWRITE_ENABLED !== 'false';
+    this.dictionary = options.dictionary ||
+      QueryRewriter.loadDictionary(options.dictionaryPath || process.env.SYNONYMS_PATH || DEFAULT_DICTIONARY_PATH);
+
+    // Corpus vocabulary for spelling correction, rebuilt when the lexical index changes
+    this.vocabulary = new Map(); // word -> frequency
+    this.stems = new Set();
+    this.vocabularySource = null;
+
+    // Words the dictionary knows are never "corrected"
+    this.knownWords = new Set();
+    const addWords = text => (text.toLowerCase().match(WORD) || []).forEach(word => this.knownWords.add(word));
+    Object.entries(this.dictionary.abbreviations).forEach(([key, value]) => { addWords(key); addWords(value); });
+    Object.entries(this.dictionary.synonyms).forEach(([key, values]) => { addWords(key); values.forEach(addWords); });
+  }
+
+  /**
+   * Load { abbreviations: { short: long }, synonyms: { term: [extra terms] } }
+   * (keys are lowercased; a missing or invalid file disables both). Relative paths are
+   * resolved from the repository root.
+   */
+  static loadDictionary(file) {
+    file = path.resolve(__dirname, '..', file);
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const lowerKeys = object => Object.fromEntries(
+        Object.entries(object || {}).map(([key, value]) => [key.toLowerCase(), value])
+      );
+
+      const abbreviations = lowerKeys(raw.abbreviations);
+      const synonyms = lowerKeys(raw.synonyms);
+      for (const [term, values] of Object.entries(synonyms)) {
+        if (!Array.isArray(values) || !values.every(value => typeof value === 'string')) {
+          throw new Error(`synonyms.${term} must be an array of strings`);
+        }
+      }
+      for (const [abbreviation, expansion] of Object.entries(abbreviations)) {
+        if (typeof expansion !== 'string') {
+          throw new Error(`abbreviations.${abbreviation} must be a string`);
+        }
+      }
+
+      console.log(`[QUERY_REWRITER] Loaded ${Object.keys(abbreviations).length} abbreviations and ` +
+        `${Object.keys(synonyms).length} synonyms from ${file}`);
+      return { abbreviations, synonyms };
+    } catch (error) {
+      console.error(`[QUERY_REWRITER] Could not load synonym dictionary ${file}:`, error.message);
+      return { abbreviations: {}, synonyms: {} };
+    }
+  }
+
+  /**
+   * Rewrite a message for retrieval
+   * @param {string} message - User message
+   * @returns {Object} { original, query, changed, removed, abbreviations, corrections, expansions }
+   *   query is the original message when nothing was rewritten
+   */
+  rewrite(message) {
+    const result = {
+      original: message,
+      query: message,
+      changed: false,
+      removed: [],
+      abbreviations: [],
+      corrections: [],
+      expansions: []
+    };
+
+    if (!this.enabled) {
+      return result;
+    }
+
+    const kept = this.removeBookingText(message, result);
+
+    // Abbreviations, then spelling, word by word
+    const words = [];
+    for (const word of kept.toLowerCase().match(WORD) || []) {
+      const expansion = this.dictionary.abbreviations[word];
+      if (expansion) {
+        result.abbreviations.push({ from: word, to: expansion });
+        words.push(...expansion.toLowerCase().split(/\s+/));
+        continue;
+      }
+
+      const correction = this.correct(word);
+      if (correction) {
+        result.corrections.push({ from: word, to: correction });
+      }
+      words.push(correction || word);
+    }
+
+    // Synonyms (keys may be phrases) are appended so the original wording still matches
+    const text = ` ${words.join(' ')} `;
+    const added = new Set();
+    for (const [term, synonyms] of Object.entries(this.dictionary.synonyms)) {
+      if (!text.includes(` ${term} `)) continue;
+
+      const extra = synonyms.filter(synonym => !text.includes(` ${synonym.toLowerCase()} `) && !added.has(synonym));
+      if (extra.length > 0) {
+        extra.forEach(synonym => added.add(synonym));
+        result.expansions.push({ term, added: extra });
+      }
+    }
+
+    result.changed = result.removed.length > 0 || result.abbreviations.length > 0 ||
+      result.corrections.length > 0 || result.expansions.length > 0;
+    if (result.changed) {
+      result.query = [...words, ...added].join(' ');
+    }
+
+    return result;
+  }
+
+  /**
+   * Drop booking clauses from a mixed message; a message that is only booking text is kept whole
+   */
+  removeBookingText(message, result) {
+    const clauses = message.split(CLAUSE_SEPARATOR).map(clause => clause.trim()).filter(Boolean);
+    const isBooking = clause => BOOKING_CLAUSE.test(clause) && chrono.parse(clause).length > 0;
+
+    const kept = clauses.filter(clause => !isBooking(clause));
+    if (kept.length === 0 || kept.length === clauses.length) {
+      return message;
+    }
+
+    result.removed = clauses.filter(isBooking);
+    return kept.join(' ');
+  }
+
+  /**
+   * Closest corpus word for a word the corpus doesn't contain (null when it needs no correction)
+   * Only words of 5+ letters are corrected, to candidates with the same first letter within
+   * one edit (two for 8+ letters); ties go to the more frequent word.
+   */
+  correct(word) {
+    this.refreshVocabulary();
+
+    if (word.length < 5 || /\d/.test(word) || stopwords.has(word) || this.knownWords.has(word) ||
+        this.vocabulary.size === 0 || this.vocabulary.has(word) || this.stems.has(natural.PorterStemmer.stem(word))) {
+      return null;
+    }
+
+    const maxDistance = word.length >= 8 ? 2 : 1;
+    let best = null;
+
+    for (const [candidate, frequency] of this.vocabulary) {
+      if (candidate[0] !== word[0] || Math.abs(candidate.length - word.length) > maxDistance) continue;
+
+      const distance = natural.DamerauLevenshteinDistance(word, candidate, { transposition_cost: 1 });
+      if (distance > maxDistance) continue;
+
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { candidate, distance, frequency };
+      }
+    }
+
+    return best ? best.candidate : null;
+  }
+
+  // The DAO replaces bm25Corpus on every lexical rebuild, so it doubles as a change marker
+  refreshVocabulary() {
+    if (this.vocabularySource === this.qdrantDao.bm25Corpus) {
+      return;
+    }
+
+    const vocabulary = new Map();
+    for (const chunk of this.qdrantDao.lexicalChunks.values()) {
+      for (const word of chunk.text.toLowerCase().match(WORD) || []) {
+        if (word.length >= 3 && !/\d/.test(word)) {
+          vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+        }
+      }
+    }
+
+    this.vocabulary = vocabulary;
+    this.stems = new Set(Array.from(vocabulary.keys(), word => natural.PorterStemmer.stem(word)));
+    this.vocabularySource = this.qdrantDao.bm25Corpus;
+  }
+}
+
+module.exports = QueryRewriter;
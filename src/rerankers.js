@@ -0,0 +1,129 @@
+const Bm25Corpus = require('./bm25');
+
+/**
+ * Re-rankers
+ * Score fused (RRF) candidates for relevance before MMR picks the final results.
+ * Every re-ranker exposes the same surface so QdrantDao never needs to know which
+ * one is configured (a cross-encoder fits it by scoring each query/passage pair):
+ *   - name
+ *   - rerank(query, candidates) -> Promise<Array<{ score, features? }>>
+ *     (one entry per candidate, same order, score in [0, 1])
+ * Candidates are search results: { id, score (RRF), vector_score, bm25_score, payload }.
+ */
+
+/**
+ * Keeps the fusion order: the RRF score scaled to [0, 1]
+ */
+class RrfReranker {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async rerank(query, candidates) {
+    const max = Math.max(...candidates.map(c => c.score), 0);
+    return candidates.map(c => ({ score: max > 0 ? c.score / max : 0 }));
+  }
+}
+
+/**
+ * Feature-based relevance from signals that are already at hand:
+ *   vector    cosine similarity from the vector retriever (0 when only BM25 found the chunk)
+ *   bm25      TF-IDF score, relative to the best candidate
+ *   coverage  share of the query terms that occur in the chunk
+ *   proximity share of adjacent query-term pairs that occur adjacent in the chunk
+ *   section   share of the query terms that occur in the chunk's section title
+ */
+class LexicalReranker {
+  constructor({ weights } = {}) {
+    this.name = 'lexical';
+    this.weights = weights || { vector: 0.35, bm25: 0.1, coverage: 0.3, proximity: 0.15, section: 0.1 };
+  }
+
+  async rerank(query, candidates) {
+    const queryTerms = Bm25Corpus.tokenize(query);
+    const uniqueTerms = [...new Set(queryTerms)];
+    const queryPairs = new Set(queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`));
+    const maxBm25 = Math.max(...candidates.map(c => c.bm25_score || 0), 0);
+
+    return candidates.map(candidate => {
+      const terms = Bm25Corpus.tokenize(candidate.payload.text);
+      const termSet = new Set(terms);
+      const pairs = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+      const sectionTerms = new Set(Bm25Corpus.tokenize(candidate.payload.section || ''));
+
+      const share = (items, contains) => items.length > 0 ? items.filter(contains).length / items.length : 0;
+      const features = {
+        vector: Math.max(candidate.vector_score || 0, 0),
+        bm25: maxBm25 > 0 ? (candidate.bm25_score || 0) / maxBm25 : 0,
+        coverage: share(uniqueTerms, term => termSet.has(term)),
+        proximity: share([...queryPairs], pair => pairs.has(pair)),
+        section: share(uniqueTerms, term => sectionTerms.has(term))
+      };
+
+      const total = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0);
+      const score = Object.entries(this.weights)
+        .reduce((sum, [feature, weight]) => sum + weight * (features[feature] || 0), 0) / (total || 1);
+
+      return { score, features };
+    });
+  }
+}
+
+/**
+ * Create the configured re-ranker (RERANKER=lexical|none)
+ * @param {Object} config - { reranker } overrides the environment
+ */
+function createReranker(config = {}) {
+  const name = (config.reranker || process.env.RERANKER || 'lexical').toLowerCase();
+
+  switch (name) {
+    case 'lexical':
+      return new LexicalReranker();
+    case 'none':
+    case 'rrf':
+      return new RrfReranker();
+    default:
+      throw new Error(`Unknown reranker: ${name} (expected lexical or none)`);
+  }
+}
+
+/**
+ * Validate per-request ranking options (k, rerank_depth, mmr_lambda) from a request body
+ * @returns {Object} { k?, rerankDepth?, mmrLambda? } (only the options that were sent)
+ * @throws {Error} When an option is out of range, or k exceeds rerank_depth
+ */
+function normalizeRankingOptions(body = {}) {
+  const options = {};
+
+  if (body.k !== undefined) {
+    options.k = Number(body.k);
+    if (!Number.isInteger(options.k) || options.k < 1 || options.k > 20) {
+      throw new Error('k must be an integer between 1 and 20');
+    }
+  }
+  if (body.rerank_depth !== undefined) {
+    options.rerankDepth = Number(body.rerank_depth);
+    if (!Number.isInteger(options.rerankDepth) || options.rerankDepth < 1 || options.rerankDepth > 50) {
+      throw new Error('rerank_depth must be an integer between 1 and 50');
+    }
+  }
+  if (body.mmr_lambda !== undefined) {
+    options.mmrLambda = Number(body.mmr_lambda);
+    if (!(options.mmrLambda >= 0 && options.mmrLambda <= 1)) {
+      throw new Error('mmr_lambda must be a number between 0 and 1');
+    }
+  }
+  // MMR picks k results from the re-ranked candidates, so fewer could never fill k
+  if (options.k !== undefined && options.rerankDepth !== undefined && options.k > options.rerankDepth) {
+    throw new Error(`rerank_depth (${options.rerankDepth}) must be at least k (${options.k})`);
+  }
+
+  return options;
+}
+
+module.exports = {
+  RrfReranker,
+  LexicalReranker,
+  createReranker,
+  normalizeRankingOptions
+};
@@ -0,0 +1,203 @@
+const { digest, normalizeQuery } = require('./cache_keys');
+const { filtersCacheKey } = require('./filters');
+
+/**
+ * Semantic answer cache
+ * Reuses an answer for a paraphrased question when the question embeddings are
+ * similar enough ("where can I park?" ~ "where do patients park").
+ *
+ *   semcache:<sha256>   { query, mode, filters_key, model, epoch, embedding, answer, doc_hashes, created_at }
+ *   semcache:index      sorted set of entry keys by creation time (bounds the entry count)
+ *
+ * Entries are registered as dependents of the documents they were answered from,
+ * so deleting one of them removes the entry (see QdrantDao.invalidateDocumentCaches; adding
+ * or changing a document moves the epoch);
+ * the cited content hashes are also checked on lookup as a safety net. Only entries with
+ * the same answer mode, filters, embedding model and knowledge-base epoch are compared.
+ */
+class SemanticCache {
+  constructor(qdrantDao, options = {}) {
+    this.qdrantDao = qdrantDao;
+    this.redis = qdrantDao.redis;
+    this.enabled = options.enabled ?? process.env.SEMANTIC_CACHE_ENABLED !== 'false';
+    this.threshold = options.threshold ?? parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || '0.92');
+    this.maxEntries = options.maxEntries ?? parseInt(process.env.SEMANTIC_CACHE_MAX_ENTRIES || '500', 10);
+  }
+
+  entryKey(message, mode, filtersKey) {
+    return `semcache:${digest(mode, filtersKey, normalizeQuery(message))}`;
+  }
+
+  // Float32 + base64 keeps entries ~4x smaller than JSON number arrays
+  encodeEmbedding(embedding) {
+    return Buffer.from(new Float32Array(embedding).buffer).toString('base64');
+  }
+
+  decodeEmbedding(encoded) {
+    const buffer = Buffer.from(encoded, 'base64');
+    return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+  }
+
+  cosine(a, b) {
+    if (a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA > 0 && normB > 0 ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+
+  /**
+   * Find a cached answer for a paraphrase of the question
+   * @param {string} message - User question
+   * @param {Array<number>} embedding - Question embedding
+   * @param {Object} options - { mode, filters, epoch }
+   * @returns {Object|null} { answer, similarity, matched_query }
+   */
+  async lookup(message, embedding, { mode, filters = null, epoch = 0 } = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      const filtersKey = filtersCacheKey(filters);
+      const keys = await this.redis.zrange('semcache:index', 0, -1);
+      if (keys.length === 0) {
+        return null;
+      }
+
+      const values = await this.redis.mget(...keys);
+      const expired = [];
+      let best = null;
+
+      values.forEach((value, i) => {
+        if (!value) {
+          expired.push(keys[i]); // TTL ran out
+          return;
+        }
+
+        const entry = JSON.parse(value);
+        if (entry.mode !== mode || entry.filters_key !== filtersKey ||
+            entry.model !== this.qdrantDao.embeddingModel || entry.epoch !== epoch) {
+          return;
+        }
+
+        const similarity = this.cosine(embedding, this.decodeEmbedding(entry.embedding));
+        if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+          best = { key: keys[i], entry, similarity };
+        }
+      });
+
+      if (expired.length > 0) {
+        await this.redis.zrem('semcache:index', ...expired);
+      }
+
+      if (!best) {
+        return null;
+      }
+
+      if (!(await this.isFresh(best.entry))) {
+        await this.remove([best.key]);
+        console.log(`[SEMANTIC_CACHE] Dropped stale entry for "${best.entry.query}" (a cited document changed)`);
+        return null;
+      }
+
+      return {
+        answer: best.entry.answer,
+        similarity: Math.round(best.similarity * 1000) / 1000,
+        matched_query: best.entry.query
+      };
+    } catch (error) {
+      console.error('[SEMANTIC_CACHE] Lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * An entry is fresh while every cited document still has the content hash it was answered from
+   */
+  async isFresh(entry) {
+    for (const [docId, hash] of Object.entries(entry.doc_hashes)) {
+      const source = await this.qdrantDao.getSourceDocument(docId);
+      if (!source || source.content_hash !== hash) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Store an answer under the question embedding
+   * @param {string} message - User question
+   * @param {Array<number>} embedding - Question embedding
+   * @param {Object} answer - Answer to reuse
+   * @param {Object} options - { mode, filters, epoch, ttl, docIds } (docIds: documents the answer was built from)
+   */
+  async store(message, embedding, answer, { mode, filters = null, epoch = 0, ttl, docIds = [] }) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const docHashes = {};
+      for (const docId of new Set(answer.citations.map(citation => citation.id))) {
+        const source = await this.qdrantDao.getSourceDocument(docId);
+        if (!source) {
+          return; // Cited document without a source record cannot be checked for changes
+        }
+        docHashes[docId] = source.content_hash;
+      }
+
+      const filtersKey = filtersCacheKey(filters);
+      const key = this.entryKey(message, mode, filtersKey);
+      const entry = {
+        query: message,
+        mode,
+        filters_key: filtersKey,
+        model: this.qdrantDao.embeddingModel,
+        epoch,
+        embedding: this.encodeEmbedding(embedding),
+        answer,
+        doc_hashes: docHashes,
+        created_at: new Date().toISOString()
+      };
+
+      await this.redis.setex(key, ttl, JSON.stringify(entry));
+      await this.redis.zadd('semcache:index', Date.now(), key);
+      await this.qdrantDao.trackCacheDependencies(key, docIds);
+
+      // Oldest entries go first once the cache is full
+      const overflow = (await this.redis.zcard('semcache:index')) - this.maxEntries;
+      if (overflow > 0) {
+        await this.remove(await this.redis.zrange('semcache:index', 0, overflow - 1));
+      }
+    } catch (error) {
+      console.error('[SEMANTIC_CACHE] Store failed:', error.message);
+    }
+  }
+
+  async remove(keys) {
+    if (keys.length === 0) return;
+    await this.redis.del(...keys);
+    await this.redis.zrem('semcache:index', ...keys);
+  }
+
+  async clear() {
+    const keys = await this.redis.keys('semcache:*');
+    if (keys.length > 0) {
+      await this.redis.del(...keys);
+    }
+  }
+
+  async count() {
+    return this.redis.zcard('semcache:index');
+  }
+}
+
+module.exports = SemanticCache;
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+
+/**
+ * Multi-tenancy
+ * Every clinic (tenant) gets its own Qdrant collection, BM25 index and Redis key space:
+ *   default tenant     fastlane_knowledge,            unprefixed Redis keys (pre-tenancy data)
+ *   tenant "<id>"      fastlane_knowledge_<id>,       Redis keys prefixed "t:<id>:"
+ * (collection names are Qdrant aliases for the versioned collections <name>.v<N>)
+ *
+ * The tenant registry lives in the unprefixed key space:
+ *   tenant:<id>            { id, name, collection, created_at }
+ *   tenants:all            set of tenant ids
+ *   tenant_key:<sha256>    tenant id for an API key (keys are stored hashed only)
+ */
+
+const DEFAULT_TENANT = 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+/**
+ * Validate a tenant id (lowercase letters, digits, "-" and "_", up to 40 characters)
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTenantId(id) {
+  if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id)) {
+    return 'Tenant id must be 1-40 lowercase letters, digits, "-" or "_" (starting with a letter or digit)';
+  }
+  return null;
+}
+
+function tenantRedisPrefix(tenant) {
+  return tenant === DEFAULT_TENANT ? '' : `t:${tenant}:`;
+}
+
+function tenantCollectionName(tenant, base = 'fastlane_knowledge') {
+  return tenant === DEFAULT_TENANT ? base : `${base}_${tenant}`;
+}
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Confine an ioredis client (created with keyPrefix) to its prefix for KEYS as well:
+ * ioredis prefixes key arguments but not patterns, and returns full key names.
+ * After this, keys('memory:*') only sees the tenant's keys and returns them unprefixed,
+ * so they can be passed straight back to get/del.
+ */
+function scopeKeys(redis, prefix) {
+  if (!prefix) {
+    return redis;
+  }
+
+  const keys = redis.keys.bind(redis);
+  redis.keys = async pattern => (await keys(prefix + pattern)).map(key => key.slice(prefix.length));
+  return redis;
+}
+
+/**
+ * Tenant registry and per-tenant service contexts
+ * createContext(tenantId) builds the services for one tenant (DAO, orchestrator, jobs);
+ * contexts are created on first use and kept for the life of the process.
+ */
+class TenantManager {
+  constructor(redis, createContext) {
+    this.redis = redis; // Unprefixed client (registry)
+    this.createContext = createContext;
+    this.contexts = new Map(); // tenant id -> Promise<context>
+    console.log('[TENANTS] Initialized');
+  }
+
+  /**
+   * Create a tenant and its API key (returned only here)
+   * @param {Object} params - { id, name }
+   * @returns {Object} { ok, tenant?, api_key?, error?, status? }
+   */
+  async createTenant({ id, name }) {
+    const error = id === DEFAULT_TENANT ? 'The default tenant always exists' : validateTenantId(id);
+    if (error) {
+      return { ok: false, status: 400, error };
+    }
+    if (await this.redis.exists(`tenant:${id}`)) {
+      return { ok: false, status: 409, error: `Tenant ${id} already exists` };
+    }
+
+    const apiKey = `flk_${crypto.randomBytes(24).toString('hex')}`;
+    const tenant = {
+      id,
+      name: name || id,
+      collection: tenantCollectionName(id),
+      created_at: new Date().toISOString()
+    };
+
+    await this.redis.set(`tenant:${id}`, JSON.stringify({ ...tenant, api_key_hash: hashApiKey(apiKey) }));
+    await this.redis.set(`tenant_key:${hashApiKey(apiKey)}`, id);
+    await this.redis.sadd('tenants:all', id);
+
+    // Provision the collection and indexes now rather than on the first request
+    await this.getContext(id);
+
+    console.log(`[TENANTS] Created tenant ${id}`);
+    return { ok: true, tenant, api_key: apiKey };
+  }
+
+  /**
+   * Tenant record (without the API key hash); the default tenant always exists
+   */
+  async getTenant(id) {
+    if (id === DEFAULT_TENANT) {
+      return { id, name: 'Default', collection: tenantCollectionName(id), created_at: null };
+    }
+
+    const data = await this.redis.get(`tenant:${id}`);
+    if (!data) {
+      return null;
+    }
+
+    const { api_key_hash, ...tenant } = JSON.parse(data);
+    return tenant;
+  }
+
+  async listTenants() {
+    const ids = await this.redis.smembers('tenants:all');
+    const tenants = await Promise.all(ids.map(id => this.getTenant(id)));
+    return [await this.getTenant(DEFAULT_TENANT), ...tenants.filter(Boolean).sort((a, b) => a.id.localeCompare(b.id))];
+  }
+
+  /**
+   * Tenant id for an API key (null when unknown)
+   */
+  async tenantForApiKey(apiKey) {
+    return this.redis.get(`tenant_key:${hashApiKey(apiKey)}`);
+  }
+
+  /**
+   * Services for a tenant, created on first use
+   */
+  getContext(id) {
+    if (!this.contexts.has(id)) {
+      const context = this.createContext(id);
+      this.contexts.set(id, context);
+      context.catch(() => this.contexts.delete(id)); // Retry on the next request
+    }
+    return this.contexts.get(id);
+  }
+
+  /**
+   * Delete a tenant: its collection, every Redis key under its prefix and its registry entry
+   * @returns {Object} { ok, deleted_keys?, error?, status? }
+   */
+  async deleteTenant(id) {
+    if (id === DEFAULT_TENANT) {
+      return { ok: false, status: 400, error: 'The default tenant cannot be deleted' };
+    }
+
+    const data = await this.redis.get(`tenant:${id}`);
+    if (!data) {
+      return { ok: false, status: 404, error: 'Tenant not found' };
+    }
+
+    const context = await this.getContext(id);
+    const activeJobs = (await context.ingestionJobs.listJobs())
+      .filter(job => job.status === 'queued' || job.status === 'running');
+    if (activeJobs.length > 0) {
+      return { ok: false, status: 409, error: `Tenant has ${activeJobs.length} active ingestion job(s); cancel them first` };
+    }
+
+    try {
+      await context.qdrantDao.dropCollections(); // Every version behind the tenant's alias
+    } catch (error) {
+      console.log(`[TENANTS] Collections for ${id} could not be dropped: ${error.message}`);
+    }
+
+    const keys = await this.redis.keys(`${tenantRedisPrefix(id)}*`);
+    if (keys.length > 0) {
+      await this.redis.del(...keys);
+    }
+
+    const { api_key_hash } = JSON.parse(data);
+    await this.redis.del(`tenant:${id}`, `tenant_key:${api_key_hash}`);
+    await this.redis.srem('tenants:all', id);
+
+    this.contexts.delete(id);
+    context.qdrantDao.redis.disconnect();
+
+    console.log(`[TENANTS] Deleted tenant ${id} (${keys.length} Redis keys)`);
+    return { ok: true, tenant_id: id, deleted_keys: keys.length };
+  }
+
+  /**
+   * Close every tenant's Redis connection
+   */
+  async closeAll() {
+    for (const context of this.contexts.values()) {
+      try {
+        await (await context).qdrantDao.redis.quit();
+      } catch (error) {
+        // Context never finished initializing
+      }
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_TENANT,
+  validateTenantId,
+  tenantRedisPrefix,
+  tenantCollectionName,
+  scopeKeys,
+  TenantManager
+};
@@ -0,0 +1,473 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { QdrantClient } = require('@qdrant/js-client-rest');
+const { localDataDir, acquireLock, writeFileAtomic } = require('./local_storage');
+
+/**
+ * Vector stores
+ * QdrantDao talks to its store through the subset of the Qdrant REST client it needs, so
+ * either backend can sit behind it (requests and responses in Qdrant's shapes):
+ *   - name
+ *   - getCollections() / getCollection(name) / createCollection(name, { vectors: { size, distance } })
+ *     / deleteCollection(name) / createPayloadIndex(name, { field_name, field_schema })
+ *   - getAliases() / updateCollectionAliases({ actions: [{ create_alias | delete_alias }] })
+ *   - upsert(name, { points }) / delete(name, { filter } | { points })
+ *   - search(name, { vector, filter, limit, score_threshold, with_payload, with_vector })
+ *   - scroll(name, { filter, limit, offset, with_payload, with_vector }) -> { points, next_page_offset }
+ *   - count(name, { filter }) -> { count }
+ * Collection arguments may be aliases. Filters use Qdrant's must / should / must_not
+ * conditions (match value / any / except, range, is_empty, is_null, has_id).
+ */
+
+/**
+ * Qdrant server (QDRANT_URL / QDRANT_API_KEY)
+ */
+class QdrantVectorStore extends QdrantClient {
+  constructor({ url = process.env.QDRANT_URL, apiKey = process.env.QDRANT_API_KEY } = {}) {
+    super({ url, apiKey });
+    this.name = 'qdrant';
+  }
+}
+
+// Qdrant-style API error (status 404 / 409 / 400)
+function storeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Every value at a payload key ("metadata.location"), arrays flattened as in Qdrant
+function payloadValues(payload, key) {
+  let values = [payload];
+  for (const part of key.replace(/\[\]/g, '').split('.')) {
+    values = values
+      .flatMap(value => (Array.isArray(value) ? value : [value]))
+      .map(value => (value !== null && typeof value === 'object' ? value[part] : undefined))
+      .filter(value => value !== undefined);
+  }
+  return values.flatMap(value => (Array.isArray(value) ? value : [value]));
+}
+
+function matchesCondition(point, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return matchesFilter(point, condition);
+  }
+  if (condition.has_id) {
+    return condition.has_id.includes(point.id);
+  }
+  if (condition.is_empty) {
+    return payloadValues(point.payload, condition.is_empty.key).every(value => value === null);
+  }
+  if (condition.is_null) {
+    const values = payloadValues(point.payload, condition.is_null.key);
+    return values.length > 0 && values.every(value => value === null);
+  }
+
+  const values = payloadValues(point.payload, condition.key);
+  if (condition.match) {
+    const { match } = condition;
+    if ('value' in match) return values.includes(match.value);
+    if ('any' in match) return values.some(value => match.any.includes(value));
+    if ('except' in match) return values.some(value => !match.except.includes(value));
+    if ('text' in match) return values.some(value => typeof value === 'string' && value.includes(match.text));
+  }
+  if (condition.range) {
+    const { gt, gte, lt, lte } = condition.range;
+    return values.some(value => typeof value === 'number' &&
+      (gt === undefined || gt === null || value > gt) &&
+      (gte === undefined || gte === null || value >= gte) &&
+      (lt === undefined || lt === null || value < lt) &&
+      (lte === undefined || lte === null || value <= lte));
+  }
+  throw storeError(400, `Unsupported filter condition: ${JSON.stringify(condition)}`);
+}
+
+function matchesFilter(point, filter) {
+  if (!filter) return true;
+  const { must = [], should = [], must_not: mustNot = [] } = filter;
+
+  return must.every(condition => matchesCondition(point, condition)) &&
+    (should.length === 0 || should.some(condition => matchesCondition(point, condition))) &&
+    !mustNot.some(condition => matchesCondition(point, condition));
+}
+
+// with_payload: true | false | [field, ...]
+function selectPayload(payload, withPayload) {
+  if (!withPayload) return undefined;
+  if (Array.isArray(withPayload)) {
+    return Object.fromEntries(withPayload.filter(field => field in payload).map(field => [field, payload[field]]));
+  }
+  return payload;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+/**
+ * Embedded pure-JS store persisted under LOCAL_DATA_DIR/vectors
+ * Collections are held in memory and searched exhaustively (cosine over normalized vectors,
+ * like Qdrant); each one has an append-only log of upserts and deletes that is replayed on
+ * start and compacted when superseded entries outgrow the live points. collections.json
+ * records the collections' configuration and the aliases. One process at a time.
+ */
+class LocalVectorStore {
+  constructor({ dir = path.join(localDataDir(), 'vectors') } = {}) {
+    this.name = 'local';
+    this.dir = dir;
+    this.collections = new Map(); // name -> { config, payloadSchema, points: Map(id -> point), sortedIds, logEntries }
+    this.aliases = new Map(); // alias -> collection
+    this.loading = null;
+    this.writes = Promise.resolve(); // Log appends in call order
+  }
+
+  // Load every collection on first use
+  ready() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    acquireLock(path.join(this.dir, '.lock'));
+
+    const manifestFile = path.join(this.dir, 'collections.json');
+    const manifest = fs.existsSync(manifestFile)
+      ? JSON.parse(fs.readFileSync(manifestFile, 'utf8'))
+      : { collections: {}, aliases: {} };
+
+    for (const [name, { config, payload_schema: payloadSchema }] of Object.entries(manifest.collections)) {
+      const collection = { config, payloadSchema, points: new Map(), sortedIds: null, logEntries: 0 };
+      await this.replay(name, collection);
+      this.collections.set(name, collection);
+    }
+    this.aliases = new Map(Object.entries(manifest.aliases));
+
+    console.log(`[VECTOR_STORE] Loaded ${this.collections.size} collections from ${this.dir}`);
+  }
+
+  logFile(name) {
+    return path.join(this.dir, `${encodeURIComponent(name)}.jsonl`);
+  }
+
+  async replay(name, collection) {
+    const file = this.logFile(name);
+    if (!fs.existsSync(file)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    let truncated = false;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A write cut short by a crash: everything before it is intact
+        console.error(`[VECTOR_STORE] Ignoring a truncated entry in ${file}`);
+        truncated = true;
+        continue;
+      }
+      collection.logEntries++;
+      if (entry.op === 'upsert') {
+        collection.points.set(entry.point.id, entry.point);
+      } else if (entry.op === 'delete') {
+        entry.ids.forEach(id => collection.points.delete(id));
+      }
+    }
+
+    // (a truncated entry is rewritten away so later appends start on a line of their own)
+    if (truncated || collection.logEntries > 2 * collection.points.size + 1000) {
+      this.compact(name, collection);
+    }
+  }
+
+  // Rewrite a collection's log with one upsert per live point
+  compact(name, collection) {
+    const lines = [...collection.points.values()].map(point => JSON.stringify({ op: 'upsert', point }));
+    writeFileAtomic(this.logFile(name), lines.length > 0 ? lines.join('\n') + '\n' : '');
+    collection.logEntries = lines.length;
+    console.log(`[VECTOR_STORE] Compacted ${name} (${lines.length} points)`);
+  }
+
+  saveManifest() {
+    const collections = {};
+    for (const [name, { config, payloadSchema }] of this.collections) {
+      collections[name] = { config, payload_schema: payloadSchema };
+    }
+    writeFileAtomic(path.join(this.dir, 'collections.json'),
+      JSON.stringify({ collections, aliases: Object.fromEntries(this.aliases) }, null, 2));
+  }
+
+  append(name, collection, entries) {
+    collection.logEntries += entries.length;
+    const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    this.writes = this.writes
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(this.logFile(name), data));
+    return this.writes;
+  }
+
+  resolve(name) {
+    return this.aliases.get(name) || name;
+  }
+
+  collection(name) {
+    const collection = this.collections.get(this.resolve(name));
+    if (!collection) {
+      throw storeError(404, `Collection \`${name}\` doesn't exist!`);
+    }
+    return collection;
+  }
+
+  async getCollections() {
+    await this.ready();
+    return { collections: [...this.collections.keys()].map(name => ({ name })) };
+  }
+
+  async getCollection(name) {
+    await this.ready();
+    const collection = this.collection(name);
+    return {
+      status: 'green',
+      points_count: collection.points.size,
+      indexed_vectors_count: collection.points.size,
+      segments_count: 1,
+      config: { params: { vectors: collection.config.vectors } },
+      payload_schema: collection.payloadSchema
+    };
+  }
+
+  async createCollection(name, { vectors }) {
+    await this.ready();
+    if (this.collections.has(name) || this.aliases.has(name)) {
+      throw storeError(409, `Collection \`${name}\` already exists!`);
+    }
+    if (!vectors || !Number.isInteger(vectors.size) || vectors.size < 1) {
+      throw storeError(400, 'vectors.size must be a positive integer');
+    }
+    if (vectors.distance && vectors.distance !== 'Cosine') {
+      throw storeError(400, `Unsupported distance ${vectors.distance} (the local store only supports Cosine)`);
+    }
+
+    this.collections.set(name, {
+      config: { vectors: { size: vectors.size, distance: 'Cosine' } },
+      payloadSchema: {},
+      points: new Map(),
+      sortedIds: null,
+      logEntries: 0
+    });
+    fs.writeFileSync(this.logFile(name), '');
+    this.saveManifest();
+    return true;
+  }
+
+  async deleteCollection(name) {
+    await this.ready();
+    if (!this.collections.delete(name)) {
+      return false;
+    }
+
+    // Aliases of a deleted collection go with it (as in Qdrant)
+    for (const [alias, collection] of this.aliases) {
+      if (collection === name) this.aliases.delete(alias);
+    }
+    await this.writes.catch(() => {});
+    fs.rmSync(this.logFile(name), { force: true });
+    this.saveManifest();
+    return true;
+  }
+
+  // Payload fields are filtered by scanning, so an index is only recorded
+  async createPayloadIndex(name, { field_name: fieldName, field_schema: fieldSchema }) {
+    await this.ready();
+    this.collection(name).payloadSchema[fieldName] = { data_type: fieldSchema };
+    this.saveManifest();
+    return { status: 'completed' };
+  }
+
+  async getAliases() {
+    await this.ready();
+    return {
+      aliases: [...this.aliases].map(([alias, collection]) => ({ alias_name: alias, collection_name: collection }))
+    };
+  }
+
+  // All actions apply together or not at all
+  async updateCollectionAliases({ actions }) {
+    await this.ready();
+    const aliases = new Map(this.aliases);
+
+    for (const action of actions) {
+      if (action.delete_alias) {
+        if (!aliases.delete(action.delete_alias.alias_name)) {
+          throw storeError(404, `Alias \`${action.delete_alias.alias_name}\` doesn't exist!`);
+        }
+      } else if (action.create_alias) {
+        const { alias_name: alias, collection_name: collection } = action.create_alias;
+        if (!this.collections.has(collection)) {
+          throw storeError(404, `Collection \`${collection}\` doesn't exist!`);
+        }
+        if (this.collections.has(alias) || aliases.has(alias)) {
+          throw storeError(409, `Alias \`${alias}\` already exists!`);
+        }
+        aliases.set(alias, collection);
+      } else {
+        throw storeError(400, `Unsupported alias action: ${Object.keys(action).join(', ')}`);
+      }
+    }
+
+    this.aliases = aliases;
+    this.saveManifest();
+    return true;
+  }
+
+  async upsert(name, { points }) {
+    await this.ready();
+    const collection = this.collection(name);
+    const { size } = collection.config.vectors;
+
+    const stored = points.map(point => {
+      if (!Array.isArray(point.vector) || point.vector.length !== size) {
+        throw storeError(400, `Wrong input: Vector dimension error: expected dim: ${size}, ` +
+          `got ${Array.isArray(point.vector) ? point.vector.length : 0}`);
+      }
+      return { id: point.id, vector: normalize(point.vector), payload: point.payload || {} };
+    });
+
+    stored.forEach(point => collection.points.set(point.id, point));
+    collection.sortedIds = null;
+    await this.append(this.resolve(name), collection, stored.map(point => ({ op: 'upsert', point })));
+    return { operation_id: 0, status: 'completed' };
+  }
+
+  async delete(name, { filter, points }) {
+    await this.ready();
+    const collection = this.collection(name);
+
+    const ids = points
+      ? points.filter(id => collection.points.has(id))
+      : [...collection.points.values()].filter(point => matchesFilter(point, filter)).map(point => point.id);
+
+    if (ids.length > 0) {
+      ids.forEach(id => collection.points.delete(id));
+      collection.sortedIds = null;
+      await this.append(this.resolve(name), collection, [{ op: 'delete', ids }]);
+    }
+    return { operation_id: 0, status: 'completed' };
+  }
+
+  async search(name, options) {
+    const { vector, filter, limit = 10, score_threshold: threshold, with_payload: withPayload = false, with_vector: withVector = false } = options;
+    await this.ready();
+    const collection = this.collection(name);
+    if (!Array.isArray(vector) || vector.length !== collection.config.vectors.size) {
+      throw storeError(400, `Wrong input: Vector dimension error: expected dim: ${collection.config.vectors.size}`);
+    }
+
+    const query = normalize(vector);
+    const hits = [];
+    for (const point of collection.points.values()) {
+      if (!matchesFilter(point, filter)) continue;
+
+      let score = 0;
+      for (let i = 0; i < query.length; i++) {
+        score += query[i] * point.vector[i];
+      }
+      if (threshold === undefined || threshold === null || score >= threshold) {
+        hits.push({ point, score });
+      }
+    }
+
+    return hits
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ point, score }) => ({
+        id: point.id,
+        version: 0,
+        score,
+        payload: selectPayload(point.payload, withPayload),
+        ...(withVector && { vector: point.vector })
+      }));
+  }
+
+  // Pages in point-id order; next_page_offset is the id the next page starts at
+  async scroll(name, options = {}) {
+    const { filter, limit = 10, offset, with_payload: withPayload = true, with_vector: withVector = false } = options;
+    await this.ready();
+    const collection = this.collection(name);
+    if (!collection.sortedIds) {
+      collection.sortedIds = [...collection.points.keys()].sort((a, b) => String(a).localeCompare(String(b)));
+    }
+
+    const ids = collection.sortedIds;
+    let start = 0;
+    if (offset !== undefined && offset !== null) {
+      start = ids.findIndex(id => String(id).localeCompare(String(offset)) >= 0);
+      if (start === -1) start = ids.length;
+    }
+
+    const page = [];
+    let i = start;
+    for (; i < ids.length && page.length < limit; i++) {
+      const point = collection.points.get(ids[i]);
+      if (matchesFilter(point, filter)) {
+        page.push({
+          id: point.id,
+          payload: selectPayload(point.payload, withPayload),
+          ...(withVector && { vector: point.vector })
+        });
+      }
+    }
+    // Skip past non-matching points so the offset points at the next match
+    while (i < ids.length && !matchesFilter(collection.points.get(ids[i]), filter)) i++;
+
+    return { points: page, next_page_offset: i < ids.length ? ids[i] : null };
+  }
+
+  async count(name, { filter } = {}) {
+    await this.ready();
+    const collection = this.collection(name);
+    let count = 0;
+    for (const point of collection.points.values()) {
+      if (matchesFilter(point, filter)) count++;
+    }
+    return { count };
+  }
+}
+
+// One embedded store per directory, shared by every tenant in the process
+const localStores = new Map();
+
+/**
+ * Create the configured vector store
+ * @param {Object} config - { backend: qdrant | local (default VECTOR_STORE), dir }
+ * @returns {QdrantVectorStore|LocalVectorStore}
+ */
+function createVectorStore(config = {}) {
+  const backend = (config.backend || process.env.VECTOR_STORE || 'qdrant').toLowerCase();
+
+  switch (backend) {
+    case 'qdrant':
+      return new QdrantVectorStore();
+    case 'local': {
+      const dir = config.dir || path.join(localDataDir(), 'vectors');
+      if (!localStores.has(dir)) {
+        localStores.set(dir, new LocalVectorStore({ dir }));
+      }
+      return localStores.get(dir);
+    }
+    default:
+      throw new Error(`Unknown vector store: ${backend} (expected "qdrant" or "local")`);
+  }
+}
+
+module.exports = {
+  QdrantVectorStore,
+  LocalVectorStore,
+  createVectorStore
+};
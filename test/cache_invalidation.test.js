@@ -0,0 +1,120 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const KnowledgeAPI = require('../src/knowledge_api');
+
+const QUESTION = 'where do patients park';
+
+let dao;
+let knowledgeAPI;
+
+before(async () => {
+  dao = new QdrantDao();
+  knowledgeAPI = new KnowledgeAPI(dao);
+  await dao.upsertDocuments(sampleDocuments());
+});
+
+async function cachedSearch(query) {
+  const ranking = dao.rankingOptions(3, {});
+  return dao.getCachedResults(query, null, await dao.getCacheEpoch(), ranking);
+}
+
+test('answers and search results are served from the cache until a document changes', async () => {
+  const first = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.strictEqual(first.answered, true);
+  assert.match(first.reply, /Lot B/);
+  assert.strictEqual(first.cache, null);
+
+  const second = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.deepStrictEqual(second.cache, { type: 'exact' });
+  assert.strictEqual(second.reply, first.reply);
+
+  await dao.searchDocuments(QUESTION, 3);
+  await new Promise(resolve => setImmediate(resolve)); // Results are cached asynchronously
+  assert.ok(await cachedSearch(QUESTION));
+});
+
+test('updating a document drops the cache entries built from it', async () => {
+  const [parking] = sampleDocuments();
+  parking.text = 'Patients park in Lot C across the street. The first three hours of parking are free.';
+  const epoch = await dao.getCacheEpoch();
+
+  await dao.upsertDocuments([parking]);
+
+  assert.strictEqual(await dao.getCacheEpoch(), epoch + 1);
+  assert.strictEqual(await cachedSearch(QUESTION), null);
+
+  const answer = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.strictEqual(answer.cache, null);
+  assert.match(answer.reply, /Lot C/);
+});
+
+test('an update that newly answers a cached question drops that answer', async () => {
+  await dao.upsertDocuments([
+    { id: 'visitors', text: 'Visitors may bring one companion to each appointment.' },
+    { id: 'pharmacy', text: 'The pharmacy refills prescriptions within two business days.' },
+    { id: 'lab', text: 'Blood tests are processed by the lab within three days.' }
+  ]);
+  const retrieved = await dao.searchDocuments(QUESTION, 3, { cache: false });
+  assert.ok(!retrieved.some(result => result.payload.doc_id === 'visitors'));
+  await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.deepStrictEqual((await knowledgeAPI.getKnowledgeAnswer(QUESTION)).cache, { type: 'exact' });
+
+  // The parking policy moves into a document the cached answer was not built from
+  await dao.upsertDocuments([{
+    id: 'visitors',
+    text: 'Visitors may bring one companion to each appointment. Patients park in the Fifth Street garage from June.'
+  }]);
+
+  const answer = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.strictEqual(answer.cache, null);
+  const results = await dao.searchDocuments(QUESTION, 3, { cache: false });
+  assert.ok(results.some(result => result.payload.doc_id === 'visitors'));
+});
+
+test('rewriting missing chunks of unchanged content keeps the epoch', async () => {
+  // A chunk left by an interrupted upsert: same content hash, but not the chunk set it should be
+  const [, billing] = sampleDocuments();
+  const [vector] = await dao.embedTexts(['stray']);
+  await dao.vectorStore.upsert(dao.collectionName, {
+    wait: true,
+    points: [{ id: dao.pointId('billing', 5), vector, payload: { doc_id: 'billing', content_hash: dao.contentHash(billing) } }]
+  });
+  const epoch = await dao.getCacheEpoch();
+
+  const summary = await dao.upsertDocuments([billing]);
+
+  assert.deepStrictEqual(summary.updated, ['billing']);
+  assert.strictEqual(await dao.getCacheEpoch(), epoch);
+});
+
+test('an unchanged re-ingest keeps the cache', async () => {
+  await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  await dao.upsertDocuments(sampleDocuments().slice(1));
+
+  const answer = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.deepStrictEqual(answer.cache, { type: 'exact' });
+});
+
+test('adding a document moves every cache to a new epoch', async () => {
+  const epoch = await dao.getCacheEpoch();
+  await dao.upsertDocuments([{ id: 'valet', text: 'Valet parking is available at the main entrance on weekdays.' }]);
+
+  assert.strictEqual(await dao.getCacheEpoch(), epoch + 1);
+  const answer = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.strictEqual(answer.cache, null);
+});
+
+test('deleting a document drops the cache entries built from it', async () => {
+  await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.deepStrictEqual((await knowledgeAPI.getKnowledgeAnswer(QUESTION)).cache, { type: 'exact' });
+
+  await dao.deleteDocument('parking');
+
+  const answer = await knowledgeAPI.getKnowledgeAnswer(QUESTION);
+  assert.strictEqual(answer.cache, null);
+  assert.doesNotMatch(answer.reply, /Lot C/);
+});
@@ -0,0 +1,89 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const CollectionVersions = require('../src/collection_versions');
+const { createEmbeddingProvider } = require('../src/embeddings');
+
+let server;
+let migration;
+
+before(async () => {
+  server = new QdrantDao();
+  await server.ensureCollection();
+  await server.upsertDocuments(sampleDocuments());
+  await server.rebuildLexicalIndex(); // As on startup
+
+  // The reindex CLI, run with other embedding settings than the server's
+  migration = new QdrantDao({ embedder: createEmbeddingProvider({ provider: 'local', dimensions: 64 }) });
+});
+
+test('a swap to another embedder switches running servers to it', async () => {
+  const reindexed = await new CollectionVersions(migration).reindex();
+  assert.strictEqual(reindexed.ok, true);
+
+  const results = await server.searchDocuments('where do patients park', 3, { cache: false });
+  assert.strictEqual(results[0].payload.doc_id, 'parking');
+
+  const status = server.getVectorSearchStatus();
+  assert.strictEqual(status.status, 'ok');
+  assert.strictEqual(status.active_collection, reindexed.collection);
+  assert.strictEqual(status.embedding_dimensions, 64);
+  assert.strictEqual(status.embedding_source, 'collection');
+  assert.ok((await server.vectorSearch('where do patients park', 3)).length > 0);
+
+  // Writes go to the new collection with its embedder too
+  const summary = await server.upsertDocuments([{ id: 'valet', text: 'Valet parking is available at the main entrance.' }]);
+  assert.deepStrictEqual(summary.added, ['valet']);
+});
+
+test('rolling back returns to the configured embedder', async () => {
+  const rolledBack = await new CollectionVersions(migration).rollback();
+  assert.strictEqual(rolledBack.ok, true);
+
+  await server.searchDocuments('where do patients park', 3, { cache: false });
+
+  const status = server.getVectorSearchStatus();
+  assert.strictEqual(status.status, 'ok');
+  assert.strictEqual(status.embedding_dimensions, 512);
+  assert.strictEqual(status.embedding_source, 'settings');
+  assert.ok((await server.vectorSearch('where do patients park', 3)).length > 0);
+});
+
+test('a swap to a collection whose embedder is unknown is reported on /health', async () => {
+  const [newest] = await new CollectionVersions(migration).listVersions();
+  const record = await migration.getCollectionVersion(newest.version);
+  await migration.saveCollectionVersion({ ...record, embedding_provider: null, embedding_model: null });
+  assert.strictEqual((await new CollectionVersions(migration).rollback(newest.version)).ok, true);
+
+  const results = await server.searchDocuments('where do patients park', 3, { cache: false });
+  assert.strictEqual(results[0].payload.doc_id, 'parking'); // BM25 alone still answers
+
+  const status = server.getVectorSearchStatus();
+  assert.strictEqual(status.status, 'failing');
+  assert.match(status.error, /64-dimension vectors but EMBEDDING_DIMENSIONS is 512/);
+  assert.deepStrictEqual(await server.vectorSearch('where do patients park', 3), []);
+
+  assert.strictEqual((await new CollectionVersions(migration).rollback()).ok, true);
+  await server.searchDocuments('where do patients park', 3, { cache: false });
+  assert.strictEqual(server.getVectorSearchStatus().status, 'ok');
+});
+
+test('vector search failures stay visible until a search succeeds', async () => {
+  const search = server.vectorStore.search;
+  server.vectorStore.search = async () => {
+    throw new Error('Wrong input: Vector dimension error: expected dim: 64');
+  };
+
+  try {
+    assert.deepStrictEqual(await server.vectorSearch('where do patients park', 3), []);
+    assert.match(server.getVectorSearchStatus().error, /Vector dimension error/);
+  } finally {
+    server.vectorStore.search = search;
+  }
+
+  await server.vectorSearch('where do patients park', 3);
+  assert.strictEqual(server.getVectorSearchStatus().status, 'ok');
+});
@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends } = require('./helpers');
+
+useLocalBackends();
+const ConflictResolver = require('../src/conflict_resolver');
+const QdrantDao = require('../src/qdrantDao');
+const KnowledgeAPI = require('../src/knowledge_api');
+
+const resolver = new ConflictResolver();
+
+function candidate(sentence, { docId = 'policies', section = 'PARKING', chunk = 'c1', position = 0 } = {}) {
+  return { sentence, docId, section, chunk, position, score: 1 };
+}
+
+test('a base rule and its override conflict', () => {
+  assert.ok(resolver.conflicts(
+    'We have a 10-minute grace period for late arrivals.',
+    'Due to high patient volume, we have temporarily reduced the grace period to 5 minutes.'
+  ));
+  assert.ok(resolver.conflicts(
+    'Patient parking is available in Lot B behind the building.',
+    'Patients should use the temporary parking area in Lot C during construction.'
+  ));
+  assert.ok(resolver.conflicts(
+    'For appointments and general inquiries, please call us at (555) 012-3456.',
+    'Please use our temporary number (555) 012-3458 for appointments.'
+  ));
+});
+
+test('unrelated sentences with numbers are not flagged', () => {
+  const unrelated = [
+    ['Our office hours are Monday through Friday 8:00 AM to 6:00 PM.', 'Visiting hours end at 8 PM.'],
+    ['Our office hours on Monday are 8 AM to 6 PM.', 'Our office hours on Saturday are 9 AM to 2 PM.'],
+    ['For appointments and general inquiries, please call us at (555) 012-3456.',
+      'For urgent medical matters outside office hours, please call our after-hours line at (555) 012-3457.'],
+    ['Please call the billing office at (555) 012-3400 about your 2 visits.', 'Please call the billing office before 5 PM about your 3 invoices.'],
+    ['The first 2 hours of parking are free for patients.', 'Valet parking is available for $5 per visit.'],
+    ['Appointments must be scheduled at least 24 hours in advance.', 'Please arrive 15 minutes early for your appointment.']
+  ];
+
+  for (const [a, b] of unrelated) {
+    assert.strictEqual(resolver.conflicts(a, b), false, `${a} | ${b}`);
+  }
+});
+
+test('only statements from the same section of the same document are compared', () => {
+  const base = candidate('The first 2 hours of parking are free for patients.');
+  const override = 'The first 3 hours of parking are free during this period.';
+
+  assert.strictEqual(resolver.resolve([base, candidate(override)]).detected, true);
+  assert.strictEqual(resolver.resolve([base, candidate(override, { section: 'VALET' })]).detected, false);
+  assert.strictEqual(resolver.resolve([base, candidate(override, { docId: 'other' })]).detected, false);
+});
+
+test('override wording wins; position only decides within a chunk', () => {
+  const base = candidate('The first 2 hours of parking are free for patients.', { position: 3 });
+  const later = candidate('The first 3 hours of parking are free for patients.', { position: 5 });
+
+  assert.strictEqual(resolver.resolve([base, later]).current, later);
+  assert.strictEqual(resolver.resolve([base, { ...later, chunk: 'c2', position: 0 }]).detected, false);
+
+  const marked = candidate('Patients temporarily get the first 3 hours of parking free.', { chunk: 'c2', position: 0 });
+  assert.strictEqual(resolver.resolve([base, marked]).current, marked);
+});
+
+test('answers are not annotated with statements from other documents', async () => {
+  const dao = new QdrantDao();
+  const knowledgeAPI = new KnowledgeAPI(dao);
+  await dao.upsertDocuments([
+    {
+      id: 'clinic',
+      text: '=== OFFICE HOURS ===\nOur office hours are Monday through Friday 8:00 AM to 6:00 PM. We are closed on Sundays.\n\n' +
+        '=== PARKING ===\nThe first 2 hours of parking are free. Construction is underway, so the first 3 hours of parking are temporarily free.'
+    },
+    { id: 'hospital', text: '=== VISITING ===\nVisiting hours end at 8 PM. Office hours for visitors are posted at the front desk.' }
+  ]);
+
+  const hours = await knowledgeAPI.getKnowledgeAnswer('what are the office hours', { cache: false });
+  assert.strictEqual(hours.conflict, undefined);
+  assert.doesNotMatch(hours.reply, /Previously/);
+
+  const parking = await knowledgeAPI.getKnowledgeAnswer('how many hours of parking are free', { cache: false });
+  assert.match(parking.reply, /3 hours/);
+  assert.match(parking.reply, /\(Previously: The first 2 hours of parking are free\.\)/);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { parseDocuments, validateDocument } = require('../src/document_parsers');
+
+async function parseAll(stream, options) {
+  const docs = [];
+  const errors = [];
+  for await (const doc of parseDocuments(stream, { ...options, onError: error => errors.push(error) })) {
+    docs.push(doc);
+  }
+  return { docs, errors };
+}
+
+test('multi-byte characters split between stream chunks are decoded intact', async () => {
+  const text = '# Café hours\n\nLe café ouvre à 8 h — bienvenue 👋';
+  const bytes = Buffer.from(text, 'utf8');
+  const splits = [bytes.indexOf('é') + 1, bytes.indexOf('—') + 1, bytes.indexOf('👋') + 2];
+  const chunks = [0, ...splits].map((start, i) => bytes.subarray(start, [...splits, bytes.length][i]));
+
+  for (const [filename, expected] of [['cafe.md', 'Le café ouvre à 8 h — bienvenue 👋'], ['cafe.txt', text]]) {
+    const { docs, errors } = await parseAll(Readable.from(chunks), { filename });
+    assert.deepStrictEqual(errors, []);
+    assert.ok(docs[0].text.includes(expected), docs[0].text);
+    assert.ok(!docs[0].text.includes('�'));
+  }
+});
+
+test('documents whose id is not a non-empty string are rejected', async () => {
+  for (const id of [42, '', '   ', null, ['a']]) {
+    assert.strictEqual(validateDocument({ id, text: 'Lot B' }), 'needs an id that is a non-empty string', String(id));
+  }
+  assert.strictEqual(validateDocument({ id: 'parking', text: 'Lot B' }), null);
+
+  const jsonl = '{"id": 42, "text": "Lot B"}\n{"id": "parking", "text": "Lot B"}\n';
+  const { docs, errors } = await parseAll(Readable.from([jsonl]), { filename: 'kb.jsonl' });
+  assert.deepStrictEqual(docs.map(doc => doc.id), ['parking']);
+  assert.deepStrictEqual(errors, [{ filename: 'kb.jsonl', line: 1, id: 42, error: 'Document needs an id that is a non-empty string' }]);
+
+  const markdown = '---\nid: 2024\n---\n# Parking\n\nLot B';
+  const parsed = await parseAll(Readable.from([markdown]), { filename: 'parking.md' });
+  assert.strictEqual(parsed.docs[0].id, '2024');
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useLocalBackends } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const KnowledgeAPI = require('../src/knowledge_api');
+const QueryRewriter = require('../src/query_rewriter');
+const { loadGoldenSet, RetrievalEvaluator } = require('../src/evaluation');
+
+function goldenSet(...questions) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastlane-golden-'));
+  const file = path.join(dir, 'golden.jsonl');
+  fs.writeFileSync(file, questions.map(question => JSON.stringify(question)).join('\n'));
+  process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return file;
+}
+
+test('the bundled golden set loads', () => {
+  const questions = loadGoldenSet(path.join(__dirname, '..', 'test_data', 'golden_questions.jsonl'));
+  assert.ok(questions.length > 0);
+});
+
+test('questions with a misspelled field are rejected', () => {
+  const file = goldenSet(
+    { id: 'parking', question: 'Where do patients park?', expected: [{ doc_id: 'parking' }] },
+    { id: 'billing', question: 'When are bills sent?', expected_doc_ids: ['billing'] }
+  );
+  assert.throws(() => loadGoldenSet(file), /golden\.jsonl:2: unknown field\(s\): expected_doc_ids/);
+});
+
+test('questions with nothing to check are rejected', () => {
+  const file = goldenSet({ id: 'parking', question: 'Where do patients park?', filters: { tags: ['facilities'] } });
+  assert.throws(() => loadGoldenSet(file), /golden\.jsonl:1: needs "expected", "answer_contains" or "expect_abstain": true/);
+});
+
+test('abstention questions need no sources or snippets', () => {
+  const file = goldenSet({ question: 'What is the capital of Peru?', expect_abstain: true });
+  const [question] = loadGoldenSet(file);
+  assert.strictEqual(question.id, 'q1');
+  assert.strictEqual(question.expect_abstain, true);
+});
+
+test('recall@k is measured over k results even when k exceeds the rerank depth', async () => {
+  const dao = new QdrantDao();
+  const rooms = ['blue', 'green', 'red', 'yellow', 'orange', 'purple', 'silver', 'golden', 'white', 'black', 'brown', 'gray'];
+  await dao.upsertDocuments(rooms.map(room => ({ id: `room-${room}`, text: `Patients wait in the ${room} waiting room.` })));
+  const questions = loadGoldenSet(goldenSet({
+    id: 'rooms',
+    question: 'Where do patients wait?',
+    expected: rooms.map(room => ({ doc_id: `room-${room}` }))
+  }));
+
+  const evaluator = new RetrievalEvaluator(dao, new KnowledgeAPI(dao), new QueryRewriter(dao));
+  const run = await evaluator.run(questions, { name: 'shallow', rerank_depth: 4 }, { k: 12 });
+  assert.strictEqual(run.settings.rerank_depth, 12);
+  assert.strictEqual(run.metrics.recall_at_k, 1);
+  assert.strictEqual(dao.rerankDepth, 8);
+});
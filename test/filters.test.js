@@ -0,0 +1,66 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const { normalizeFilters } = require('../src/filters');
+
+let dao;
+
+before(async () => {
+  dao = new QdrantDao();
+  await dao.upsertDocuments(sampleDocuments());
+});
+
+const QUERY = 'patients parking late appointment copays insurance';
+
+async function searchedDocIds(filters, options = {}) {
+  const results = await dao.searchDocuments(QUERY, 3, { filters: normalizeFilters(filters), ...options });
+  return [...new Set(results.map(result => result.payload.doc_id))].sort();
+}
+
+test('unfiltered search sees every document', async () => {
+  assert.deepStrictEqual(await searchedDocIds(undefined, { cache: false }), ['billing', 'late-policy', 'parking']);
+});
+
+test('tag filters match any of the given tags', async () => {
+  assert.deepStrictEqual(await searchedDocIds({ tags: 'billing' }), ['billing']);
+  assert.deepStrictEqual(await searchedDocIds({ tags: ['facilities', 'policy'] }), ['late-policy', 'parking']);
+});
+
+test('doc_id and metadata filters combine', async () => {
+  assert.deepStrictEqual(await searchedDocIds({ doc_id: ['parking', 'billing'] }), ['billing', 'parking']);
+  assert.deepStrictEqual(await searchedDocIds({ metadata: { clinic: 'brooklyn' } }), ['late-policy', 'parking']);
+  assert.deepStrictEqual(await searchedDocIds({ metadata: { clinic: 'brooklyn' }, tags: 'policy' }), ['late-policy']);
+  assert.deepStrictEqual(await searchedDocIds({ metadata: { clinic: 'bronx' } }), []);
+});
+
+test('both retrievers apply the filters', async () => {
+  const filters = normalizeFilters({ tags: 'billing' });
+  const [bm25Results, vectorResults] = await Promise.all([
+    dao.bm25Search(QUERY, 8, filters),
+    dao.vectorSearch(QUERY, 8, filters)
+  ]);
+
+  assert.ok(bm25Results.length > 0);
+  assert.ok(vectorResults.length > 0);
+  for (const result of [...bm25Results, ...vectorResults]) {
+    assert.strictEqual(result.payload.doc_id, 'billing');
+  }
+});
+
+test('filtered and unfiltered results are cached separately', async () => {
+  await searchedDocIds(undefined);
+  assert.deepStrictEqual(await searchedDocIds({ tags: 'billing' }), ['billing']);
+  assert.deepStrictEqual(await searchedDocIds(undefined), ['billing', 'late-policy', 'parking']);
+});
+
+test('invalid filters are rejected', () => {
+  assert.throws(() => normalizeFilters([]), /filters must be an object/);
+  assert.throws(() => normalizeFilters({ tags: [1] }), /filters.tags/);
+  assert.throws(() => normalizeFilters({ doc_id: { id: 'x' } }), /filters.doc_id/);
+  assert.throws(() => normalizeFilters({ metadata: { 'bad key': 'x' } }), /may only contain/);
+  assert.throws(() => normalizeFilters({ metadata: { clinic: {} } }), /must be a scalar/);
+  assert.strictEqual(normalizeFilters({}), null);
+});
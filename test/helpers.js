@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after } = require('node:test');
+
+/**
+ * Test helpers
+ * Every test file runs in its own process against the embedded stores (VECTOR_STORE=local,
+ * KV_STORE=local), local embeddings and the local answer generator, in a fresh LOCAL_DATA_DIR.
+ * Call useLocalBackends() before requiring anything from src/.
+ */
+
+function useLocalBackends() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fastlane-test-'));
+  Object.assign(process.env, {
+    EMBEDDING_PROVIDER: 'local',
+    VECTOR_STORE: 'local',
+    KV_STORE: 'local',
+    ANSWER_GENERATOR: 'local',
+    LOCAL_DATA_DIR: dir
+  });
+
+  // Registered last so it runs after the stores' own exit hooks have saved and unlocked
+  after(() => {
+    process.once('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  return dir;
+}
+
+const DOCUMENTS = [
+  {
+    id: 'parking',
+    text: 'Patients park in Lot B behind the building. The first two hours of parking are free.',
+    tags: ['facilities'],
+    metadata: { clinic: 'brooklyn' }
+  },
+  {
+    id: 'billing',
+    text: 'We accept cash, credit cards and most insurance plans. Copays are due at check-in.',
+    tags: ['billing'],
+    metadata: { clinic: 'queens' }
+  },
+  {
+    id: 'late-policy',
+    text: 'Patients arriving more than ten minutes late may need to reschedule their appointment.',
+    tags: ['policy'],
+    metadata: { clinic: 'brooklyn' }
+  }
+];
+
+// Copies, so tests can change them freely
+function sampleDocuments() {
+  return DOCUMENTS.map(doc => ({ ...doc, tags: [...doc.tags], metadata: { ...doc.metadata } }));
+}
+
+module.exports = {
+  useLocalBackends,
+  sampleDocuments
+};
@@ -0,0 +1,101 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+
+let dao;
+
+before(async () => {
+  dao = new QdrantDao();
+  await dao.ensureCollection();
+});
+
+test('new documents are added and indexed', async () => {
+  const summary = await dao.upsertDocuments(sampleDocuments());
+
+  assert.deepStrictEqual(summary.added.sort(), ['billing', 'late-policy', 'parking']);
+  assert.deepStrictEqual(summary.updated, []);
+  assert.ok(summary.chunk_count >= 3);
+
+  const doc = await dao.getDocument('parking');
+  assert.strictEqual(doc.content_hash, dao.contentHash(sampleDocuments()[0]));
+  assert.ok(dao.getLexicalIndexStats().chunks >= 3);
+});
+
+test('re-ingesting the same content is a no-op', async () => {
+  const epoch = await dao.getCacheEpoch();
+  const summary = await dao.upsertDocuments(sampleDocuments());
+
+  assert.deepStrictEqual(summary.unchanged.sort(), ['billing', 'late-policy', 'parking']);
+  assert.deepStrictEqual(summary.added, []);
+  assert.deepStrictEqual(summary.updated, []);
+  assert.strictEqual(summary.chunk_count, 0);
+  assert.strictEqual(await dao.getCacheEpoch(), epoch);
+});
+
+test('the content hash covers tags and metadata as well as text', async () => {
+  const [parking] = sampleDocuments();
+  const hash = dao.contentHash(parking);
+
+  assert.notStrictEqual(dao.contentHash({ ...parking, text: `${parking.text} Valet parking is available.` }), hash);
+  assert.notStrictEqual(dao.contentHash({ ...parking, tags: ['facilities', 'parking'] }), hash);
+  assert.notStrictEqual(dao.contentHash({ ...parking, metadata: { clinic: 'queens' } }), hash);
+  assert.strictEqual(dao.contentHash({ ...parking }), hash);
+});
+
+test('changed documents are updated in place', async () => {
+  const [parking] = sampleDocuments();
+  parking.text = 'Patients park in Lot C across the street. The first three hours of parking are free.';
+
+  const summary = await dao.upsertDocuments([parking]);
+  assert.deepStrictEqual(summary.updated, ['parking']);
+
+  const doc = await dao.getDocument('parking');
+  assert.strictEqual(doc.content_hash, dao.contentHash(parking));
+  assert.ok(doc.chunks.every(chunk => !chunk.text.includes('Lot B')));
+
+  const results = await dao.searchDocuments('where do patients park', 3, { cache: false });
+  assert.strictEqual(results[0].payload.doc_id, 'parking');
+  assert.ok(results[0].payload.text.includes('Lot C'));
+});
+
+test('a batch repeating a doc_id keeps the last occurrence', async () => {
+  const [, billing] = sampleDocuments();
+  const summary = await dao.upsertDocuments([
+    { ...billing, text: 'Payment is due at the visit.' },
+    { ...billing, text: 'Copays are due at check-in. We accept cash and credit cards.' }
+  ]);
+
+  assert.deepStrictEqual(summary.updated, ['billing']);
+  const doc = await dao.getDocument('billing');
+  assert.ok(doc.chunks[0].text.startsWith('Copays are due at check-in.'));
+});
+
+test('a document whose chunks went missing is written again', async () => {
+  const [, , latePolicy] = sampleDocuments();
+  await dao.vectorStore.delete(dao.collectionName, { wait: true, points: [dao.pointId(latePolicy.id, 0)] });
+
+  const summary = await dao.upsertDocuments([latePolicy]);
+  assert.deepStrictEqual(summary.unchanged, []);
+  assert.strictEqual(summary.chunk_count, 1);
+  assert.strictEqual((await dao.getDocument('late-policy')).chunks.length, 1);
+});
+
+test('a search picks up documents another process wrote', async () => {
+  // A second DAO over the same stores stands in for the ingest CLI
+  const cli = new QdrantDao();
+  const [parking] = sampleDocuments();
+  parking.text = 'Patients park in the Atlantic Avenue garage. The first hour of parking is free.';
+  await cli.upsertDocuments([parking]);
+
+  const stale = await dao.bm25Search('Atlantic Avenue garage', 3);
+  assert.ok(stale.every(result => !result.payload.text.includes('Atlantic')));
+
+  await cli.bumpCacheEpoch(); // As the CLI does once it is done
+  await dao.searchDocuments('Atlantic Avenue garage', 3, { cache: false });
+
+  const fresh = await dao.bm25Search('Atlantic Avenue garage', 3);
+  assert.ok(fresh[0].payload.text.includes('Atlantic Avenue'));
+});
@@ -0,0 +1,191 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const IngestionJobManager = require('../src/ingestion_jobs');
+
+let dao;
+let jobs;
+
+before(() => {
+  dao = new QdrantDao();
+  jobs = new IngestionJobManager(dao, { pageSize: 2 });
+});
+
+function documents(count, prefix) {
+  return Array.from({ length: count }, (_, i) => ({ id: `${prefix}-${i}`, text: `Policy ${prefix} number ${i} for patients.` }));
+}
+
+// Resolves once the queue is empty
+async function settle() {
+  await new Promise(resolve => setImmediate(resolve));
+  while (jobs.running || jobs.queue.length > 0) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Record every upsertDocuments batch (and optionally fail some)
+function spyOnUpserts(fail = async () => null) {
+  const batches = [];
+  const upsertDocuments = dao.upsertDocuments.bind(dao);
+  dao.upsertDocuments = async (docs, options) => {
+    batches.push(docs.map(doc => doc.id));
+    const error = await fail(docs);
+    if (error) throw error;
+    return upsertDocuments(docs, options);
+  };
+  return { batches, restore: () => delete dao.upsertDocuments };
+}
+
+test('each page of a job is written with one upsert', async () => {
+  const spy = spyOnUpserts();
+  try {
+    const { id } = await jobs.createJob(documents(5, 'paged'));
+    await settle();
+
+    const job = await jobs.getJob(id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.processed, 5);
+    assert.strictEqual(job.added, 5);
+    assert.deepStrictEqual(spy.batches, [['paged-0', 'paged-1'], ['paged-2', 'paged-3'], ['paged-4']]);
+  } finally {
+    spy.restore();
+  }
+});
+
+test('a document error is isolated within its page and skipped', async () => {
+  const invalid = Object.assign(new Error('Bad request'), { status: 400 });
+  const spy = spyOnUpserts(async docs => (docs.some(doc => doc.id === 'mixed-2') ? invalid : null));
+  try {
+    const { id } = await jobs.createJob(documents(4, 'mixed'));
+    await settle();
+
+    const job = await jobs.getJob(id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.added, 3);
+    assert.deepStrictEqual(job.errors, [{ index: 2, id: 'mixed-2', error: 'Bad request' }]);
+    assert.deepStrictEqual(spy.batches, [['mixed-0', 'mixed-1'], ['mixed-2', 'mixed-3'], ['mixed-2'], ['mixed-3']]);
+  } finally {
+    spy.restore();
+  }
+});
+
+test('a page the vector store rejects partway through is counted once per document', async () => {
+  const existing = documents(2, 'partial');
+  await dao.upsertDocuments(existing);
+
+  // Points go to the store one request at a time; partial-3 gets a vector the store refuses
+  const generateEmbedding = dao.generateEmbedding.bind(dao);
+  dao.generateEmbedding = async text => (text.includes('POISON') ? [0.5, 0.5] : generateEmbedding(text));
+  dao.upsertPageSize = 1;
+  const upserts = [];
+  const spy = spyOnUpserts(async docs => { upserts.push(docs.length); });
+  try {
+    const pageJobs = new IngestionJobManager(dao, { pageSize: 5 });
+    const { id } = await pageJobs.createJob([
+      existing[0],
+      { id: 'partial-1', text: 'Policy partial number 1 was revised for patients.' },
+      { id: 'partial-2', text: 'Policy partial number 2 for patients.' },
+      { id: 'partial-3', text: 'POISON policy for patients.' },
+      { id: 'partial-4', text: 'Policy partial number 4 for patients.' }
+    ]);
+    await new Promise(resolve => setImmediate(resolve));
+    while (pageJobs.running || pageJobs.queue.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    const job = await pageJobs.getJob(id);
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(upserts, [5, 1, 1, 1, 1]);
+    assert.strictEqual(job.unchanged, 1);
+    assert.strictEqual(job.updated, 1);
+    assert.strictEqual(job.added, 2);
+    assert.strictEqual(job.errors.length, 1);
+    assert.strictEqual(job.errors[0].index, 3);
+    assert.strictEqual(job.errors[0].id, 'partial-3');
+    assert.match(job.errors[0].error, /dimension/);
+    assert.strictEqual(await dao.getStoredContentHash('partial-3'), null);
+  } finally {
+    spy.restore();
+    delete dao.generateEmbedding;
+    dao.upsertPageSize = 64;
+  }
+});
+
+test('invalid documents are recorded without reaching the vector store', async () => {
+  const spy = spyOnUpserts();
+  try {
+    const { id } = await jobs.createJob([{ id: 42, text: 'Numeric id' }, { id: 'valid-0', text: 'Policy valid number 0.' }]);
+    await settle();
+
+    const job = await jobs.getJob(id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.added, 1);
+    assert.deepStrictEqual(job.errors, [{ index: 0, id: 42, error: 'Document needs an id that is a non-empty string' }]);
+    assert.deepStrictEqual(spy.batches, [['valid-0']]);
+  } finally {
+    spy.restore();
+  }
+});
+
+test('programming errors fail the job instead of skipping the document', async () => {
+  const spy = spyOnUpserts(async () => new TypeError('Cannot read properties of undefined'));
+  try {
+    const { id } = await jobs.createJob(documents(1, 'bug'));
+    await settle();
+
+    const job = await jobs.getJob(id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.processed, 0);
+    assert.deepStrictEqual(job.errors, []);
+  } finally {
+    spy.restore();
+  }
+});
+
+test('a failed job resumes from the page it stopped at', async () => {
+  let outage = true;
+  const spy = spyOnUpserts(async docs => (outage && docs[0].id === 'resume-2' ? new Error('Vector store unavailable') : null));
+  try {
+    const { id } = await jobs.createJob(documents(5, 'resume'));
+    await settle();
+
+    let job = await jobs.getJob(id);
+    assert.strictEqual(job.status, 'failed');
+    assert.strictEqual(job.processed, 2);
+
+    outage = false;
+    assert.strictEqual((await jobs.retryJob(id)).ok, true);
+    await settle();
+
+    job = await jobs.getJob(id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.processed, 5);
+    assert.strictEqual(job.added, 5);
+    assert.deepStrictEqual(spy.batches.slice(-2), [['resume-2', 'resume-3'], ['resume-4']]);
+  } finally {
+    spy.restore();
+  }
+});
+
+test('cancelling stops the job after the current page', async () => {
+  let jobId = null;
+  const spy = spyOnUpserts(async docs => {
+    if (docs[0].id === 'cancel-0') await jobs.cancelJob(jobId);
+    return null;
+  });
+  try {
+    const job = await jobs.createJob(documents(5, 'cancel'));
+    jobId = job.id;
+    await settle();
+
+    const cancelled = await jobs.getJob(jobId);
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(cancelled.processed, 2);
+    assert.deepStrictEqual(spy.batches, [['cancel-0', 'cancel-1']]);
+  } finally {
+    spy.restore();
+  }
+});
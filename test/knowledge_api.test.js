@@ -0,0 +1,43 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const KnowledgeAPI = require('../src/knowledge_api');
+
+let dao;
+let knowledgeAPI;
+
+before(async () => {
+  dao = new QdrantDao();
+  knowledgeAPI = new KnowledgeAPI(dao);
+  await dao.upsertDocuments(sampleDocuments());
+});
+
+test('docs_found counts every retrieved chunk, not just the cited ones', async () => {
+  const retrieved = await dao.searchDocuments('where do patients park', 3, { cache: false });
+  const answer = await knowledgeAPI.getKnowledgeAnswer('where do patients park', { cache: false });
+
+  assert.strictEqual(answer.answered, true);
+  assert.strictEqual(answer.docs_found, retrieved.length);
+  assert.ok(answer.citations.length < answer.docs_found);
+});
+
+test('docs_found is reported when the answer abstains', async () => {
+  const retrieved = await dao.searchDocuments('patients late lasagna recipe', 3, { cache: false });
+  const answer = await knowledgeAPI.getKnowledgeAnswer('patients late lasagna recipe', { cache: false });
+
+  assert.strictEqual(answer.answered, false);
+  assert.deepStrictEqual(answer.citations, []);
+  assert.ok(retrieved.length > 0);
+  assert.strictEqual(answer.docs_found, retrieved.length);
+});
+
+test('cached answers keep their docs_found', async () => {
+  const first = await knowledgeAPI.getKnowledgeAnswer('where do patients park');
+  const cached = await knowledgeAPI.getKnowledgeAnswer('where do patients park');
+
+  assert.deepStrictEqual(cached.cache, { type: 'exact' });
+  assert.strictEqual(cached.docs_found, first.docs_found);
+});
@@ -0,0 +1,107 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const { ARCHIVE_FORMAT, KnowledgeArchive } = require('../src/knowledge_archive');
+
+let source;
+let target;
+
+async function exportRecords(dao, options) {
+  const records = [];
+  for await (const record of new KnowledgeArchive(dao).export(options)) {
+    records.push(record);
+  }
+  return records;
+}
+
+function importRecords(dao, records, options) {
+  const archive = records.map(record => JSON.stringify(record)).join('\n');
+  return new KnowledgeArchive(dao).import(Readable.from([archive]), options);
+}
+
+async function vectorOf(dao, docId) {
+  const [point] = await dao.scrollAll({ must: [{ key: 'doc_id', match: { value: docId } }] }, false, 256, true);
+  return point.vector;
+}
+
+// The store normalizes vectors on write, so a copy may differ in the last bits
+function assertSameVector(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  assert.ok(actual.every((value, i) => Math.abs(value - expected[i]) < 1e-9));
+}
+
+before(async () => {
+  source = new QdrantDao();
+  target = new QdrantDao({ tenant: 'restore' });
+  await source.upsertDocuments(sampleDocuments());
+});
+
+test('an export holds a header, each document with its chunks and the BM25 corpus', async () => {
+  const records = await exportRecords(source);
+
+  assert.strictEqual(records[0].type, 'header');
+  assert.strictEqual(records[0].format, ARCHIVE_FORMAT);
+  assert.deepStrictEqual(records[0].counts, { documents: 3, chunks: 3 });
+  assert.strictEqual(records[records.length - 1].type, 'bm25_corpus');
+
+  const documents = records.filter(record => record.type === 'document');
+  assert.deepStrictEqual(documents.map(doc => doc.id).sort(), ['billing', 'late-policy', 'parking']);
+  for (const chunk of records.filter(record => record.type === 'chunk')) {
+    assert.strictEqual(chunk.vector.length, source.embeddingDimensions);
+  }
+});
+
+test('importing reuses the archived vectors and makes the documents searchable', async () => {
+  const result = await importRecords(target, await exportRecords(source));
+
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.vectors, 'reused');
+  assert.deepStrictEqual(result.added.sort(), ['billing', 'late-policy', 'parking']);
+  assert.deepStrictEqual(result.reembedded, []);
+
+  assertSameVector(await vectorOf(target, 'parking'), await vectorOf(source, 'parking'));
+  assert.strictEqual((await target.getSourceDocument('parking')).text, sampleDocuments()[0].text);
+
+  const results = await target.searchDocuments('where do patients park', 3, { cache: false });
+  assert.strictEqual(results[0].payload.doc_id, 'parking');
+});
+
+test('importing the same archive again changes nothing', async () => {
+  const result = await importRecords(target, await exportRecords(source));
+
+  assert.deepStrictEqual(result.unchanged.sort(), ['billing', 'late-policy', 'parking']);
+  assert.strictEqual(result.chunk_count, 0);
+});
+
+test('replace removes documents the archive does not contain', async () => {
+  await target.upsertDocuments([{ id: 'extra', text: 'This document only exists in the target.' }]);
+  const result = await importRecords(target, await exportRecords(source), { replace: true });
+
+  assert.deepStrictEqual(result.deleted, ['extra']);
+  assert.strictEqual(await target.getDocument('extra'), null);
+});
+
+test('an archive without vectors is re-embedded from the source text', async () => {
+  const records = await exportRecords(source, { vectors: false });
+  await target.deleteDocument('billing');
+
+  const result = await importRecords(target, records);
+  assert.strictEqual(result.vectors, 're-embedded');
+  assert.deepStrictEqual(result.reembedded, ['billing']);
+  assertSameVector(await vectorOf(target, 'billing'), await vectorOf(source, 'billing'));
+});
+
+test('incompatible or malformed archives are refused', async () => {
+  const records = await exportRecords(source);
+  records[0] = { ...records[0], embedding: { model: 'other-model', dimensions: 8 } };
+
+  const refused = await importRecords(target, records, { reembed: false });
+  assert.strictEqual(refused.status, 409);
+
+  const notAnArchive = await importRecords(target, [{ type: 'document', id: 'x' }]);
+  assert.strictEqual(notAnArchive.status, 400);
+});
@@ -0,0 +1,31 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const { normalizeRankingOptions } = require('../src/rerankers');
+
+let dao;
+
+before(async () => {
+  dao = new QdrantDao();
+  const rooms = ['blue', 'green', 'red', 'yellow', 'orange', 'purple', 'silver', 'golden', 'white', 'black', 'brown', 'gray'];
+  await dao.upsertDocuments(rooms.map(room => ({ id: `room-${room}`, text: `Patients wait in the ${room} waiting room.` })));
+});
+
+test('k above the rerank depth still returns k results', async () => {
+  assert.strictEqual(dao.rerankDepth, 8);
+  const results = await dao.searchDocuments('where do patients wait', 12, { cache: false });
+  assert.strictEqual(results.length, 12);
+
+  const explain = {};
+  await dao.searchDocuments('where do patients wait', 3, { k: 10, rerankDepth: 4, explain });
+  assert.strictEqual(explain.ranking.rerank_depth, 10);
+  assert.strictEqual(explain.rerank.results.length, 10);
+});
+
+test('a requested rerank depth below k is rejected', () => {
+  assert.throws(() => normalizeRankingOptions({ k: 10, rerank_depth: 5 }), /rerank_depth \(5\) must be at least k \(10\)/);
+  assert.deepStrictEqual(normalizeRankingOptions({ k: 5, rerank_depth: 5 }), { k: 5, rerankDepth: 5 });
+});
@@ -0,0 +1,70 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const { useLocalBackends, sampleDocuments } = require('./helpers');
+
+useLocalBackends();
+const QdrantDao = require('../src/qdrantDao');
+const { TenantManager, validateTenantId } = require('../src/tenants');
+const { createKeyValueStore } = require('../src/kv_stores');
+
+let tenants;
+let defaultDao;
+
+async function createContext(tenant) {
+  const qdrantDao = new QdrantDao({ tenant });
+  await qdrantDao.ensureCollection();
+  return { qdrantDao, ingestionJobs: { listJobs: async () => [] } };
+}
+
+before(async () => {
+  tenants = new TenantManager(createKeyValueStore(), createContext);
+  defaultDao = (await tenants.getContext('default')).qdrantDao;
+  await defaultDao.upsertDocuments(sampleDocuments());
+});
+
+test('tenants get their own collection and key prefix', async () => {
+  const created = await tenants.createTenant({ id: 'brooklyn-clinic', name: 'Brooklyn Clinic' });
+  assert.strictEqual(created.ok, true);
+  assert.match(created.api_key, /^flk_/);
+  assert.strictEqual(await tenants.tenantForApiKey(created.api_key), 'brooklyn-clinic');
+
+  const { qdrantDao } = await tenants.getContext('brooklyn-clinic');
+  assert.strictEqual(qdrantDao.collectionName, 'fastlane_knowledge_brooklyn-clinic');
+  assert.deepStrictEqual(await qdrantDao.listDocuments(), []);
+});
+
+test('documents, searches and caches stay within their tenant', async () => {
+  const { qdrantDao } = await tenants.getContext('brooklyn-clinic');
+  await qdrantDao.upsertDocuments([{ id: 'parking', text: 'Brooklyn patients park in the garage on Atlantic Avenue.' }]);
+
+  const tenantResults = await qdrantDao.searchDocuments('where do patients park', 3, { cache: false });
+  assert.ok(tenantResults.length > 0);
+  assert.ok(tenantResults.every(result => result.payload.text.includes('Atlantic Avenue')));
+
+  const defaultResults = await defaultDao.searchDocuments('where do patients park', 3, { cache: false });
+  assert.ok(defaultResults.every(result => !result.payload.text.includes('Atlantic Avenue')));
+  assert.ok((await defaultDao.getDocument('parking')).chunks[0].text.includes('Lot B'));
+
+  // Same key names, separate values
+  await qdrantDao.setSession('s1', { messages: ['brooklyn'] });
+  assert.deepStrictEqual(await defaultDao.getSession('s1'), { messages: [] });
+  assert.deepStrictEqual(await qdrantDao.redis.keys('session:*'), ['session:s1']);
+  assert.deepStrictEqual(await defaultDao.redis.keys('session:*'), []);
+});
+
+test('deleting a tenant leaves the others alone', async () => {
+  const deleted = await tenants.deleteTenant('brooklyn-clinic');
+  assert.strictEqual(deleted.ok, true);
+  assert.ok(deleted.deleted_keys > 0);
+
+  assert.strictEqual(await tenants.getTenant('brooklyn-clinic'), null);
+  assert.deepStrictEqual((await tenants.listTenants()).map(tenant => tenant.id), ['default']);
+  assert.deepStrictEqual((await defaultDao.listDocuments()).map(doc => doc.doc_id).sort(), ['billing', 'late-policy', 'parking']);
+});
+
+test('tenant ids are validated', async () => {
+  assert.strictEqual(validateTenantId('clinic_2'), null);
+  assert.ok(validateTenantId('Clinic A'));
+  assert.strictEqual((await tenants.createTenant({ id: '../etc' })).status, 400);
+  assert.strictEqual((await tenants.createTenant({ id: 'default' })).status, 400);
+});